@@ -0,0 +1,302 @@
+// src/twitter/ArchiveImporter.js
+import fs from 'fs/promises';
+import path from 'path';
+import Logger from './Logger.js';
+import DataOrganizer from './DataOrganizer.js';
+import SinkRegistry from './sinks/SinkRegistry.js';
+import { getBuildInfo, getVideoVariants } from './utils.js';
+
+/**
+ * Imports a downloaded Twitter/X account archive as an offline source.
+ *
+ * Reads the extracted archive's `data/` directory (account.js, profile.js, tweets.js
+ * and like.js), converts the tweets to the shape returned by agent-twitter-client and
+ * stores them through the same storage sinks as a scraped run.
+ */
+class ArchiveImporter {
+  /**
+   * @param {string} archiveDir - Extracted archive directory (the one containing `data/`).
+   * @param {object} [options]
+   * @param {string} [options.outputDir] - Base directory for run outputs.
+   * @param {string[]} [options.sinks] - Storage targets for the imported tweets.
+   * @param {TweetFilter} [options.filter] - Filter applied to the imported tweets.
+   */
+  constructor(archiveDir, options = {}) {
+    this.archiveDir = archiveDir;
+    this.options = {
+      outputDir: 'pipeline',
+      sinks: ['files', 'sqlite', 'linkace'],
+      filter: null,
+      ...options,
+    };
+  }
+
+  /**
+   * Parses an archive data file, which assigns a JSON array to a `window.YTD` global.
+   * @param {string} content - Content of the file.
+   * @returns {object[]} entries - Parsed array.
+   */
+  static parseDataFile(content) {
+    const start = content.indexOf('[');
+    if (start === -1) {
+      throw new Error('No data array found.');
+    }
+    return JSON.parse(content.slice(start));
+  }
+
+  /**
+   * Reads every part of an archive data file, e.g. tweets.js, tweets-part1.js, ...
+   * @param {...string} names - Candidate file names without extension; the first one found is read.
+   * @returns {Promise<object[]>} entries - Entries of all parts, or an empty array if the file is missing.
+   */
+  async readDataFile(...names) {
+    const dataDir = path.join(this.archiveDir, 'data');
+    const files = await fs.readdir(dataDir);
+
+    for (const name of names) {
+      const parts = files
+        .filter((file) => file === `${name}.js` || new RegExp(`^${name}-part\\d+\\.js$`).test(file))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      if (parts.length === 0) continue;
+
+      const entries = [];
+      for (const part of parts) {
+        try {
+          entries.push(...ArchiveImporter.parseDataFile(await fs.readFile(path.join(dataDir, part), 'utf-8')));
+        } catch (error) {
+          throw new Error(`Could not parse ${part}: ${error.message}`);
+        }
+      }
+      Logger.debug(`Read ${entries.length} entries from ${parts.join(', ')}`);
+      return entries;
+    }
+    return [];
+  }
+
+  /**
+   * Reads the archive owner's account.
+   * @returns {Promise<{username: string, userId: string, name: string, createdAt: string}>}
+   */
+  async loadAccount() {
+    const [entry] = await this.readDataFile('account');
+    const account = entry?.account;
+    if (!account?.username) {
+      throw new Error(`No account found in ${path.join(this.archiveDir, 'data', 'account.js')}.`);
+    }
+    return {
+      username: account.username,
+      userId: account.accountId,
+      name: account.accountDisplayName,
+      createdAt: account.createdAt,
+    };
+  }
+
+  /**
+   * Builds a profile snapshot from the archive's account and profile files.
+   * Counts are not part of the archive and are left empty.
+   * @param {object} account - Account from loadAccount().
+   * @returns {Promise<object>} profile - Profile snapshot.
+   */
+  async loadProfile(account) {
+    const [entry] = await this.readDataFile('profile');
+    const profile = entry?.profile || {};
+    return {
+      username: account.username,
+      userId: account.userId || null,
+      name: account.name || null,
+      biography: profile.description?.bio || null,
+      location: profile.description?.location || null,
+      website: profile.description?.website || null,
+      avatar: profile.avatarMediaUrl || null,
+      banner: profile.headerMediaUrl || null,
+      followersCount: null,
+      followingCount: null,
+      tweetsCount: null,
+      likesCount: null,
+      listedCount: null,
+      joined: account.createdAt ? new Date(account.createdAt).toISOString() : null,
+      isVerified: false,
+      isBlueVerified: false,
+      isPrivate: false,
+      fetchedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Converts an archive tweet to the shape returned by agent-twitter-client.
+   * @param {object} tweet - Tweet object from tweets.js.
+   * @param {object} account - Account from loadAccount().
+   * @returns {object} tweet - Normalized tweet.
+   */
+  normalizeTweet(tweet, account) {
+    const media = tweet.extended_entities?.media || [];
+    const timeParsed = new Date(Date.parse(tweet.created_at));
+
+    return {
+      id: tweet.id_str,
+      conversationId: tweet.conversation_id_str,
+      text: tweet.full_text,
+      username: account.username,
+      name: account.name,
+      userId: account.userId,
+      timeParsed,
+      timestamp: Math.floor(timeParsed.valueOf() / 1000),
+      likes: Number(tweet.favorite_count) || 0,
+      retweets: Number(tweet.retweet_count) || 0,
+      replies: null, // Not part of the archive
+      hashtags: (tweet.entities?.hashtags || []).map((hashtag) => hashtag.text),
+      mentions: (tweet.entities?.user_mentions || []).map((mention) => ({
+        id: mention.id_str,
+        username: mention.screen_name,
+        name: mention.name,
+      })),
+      urls: (tweet.entities?.urls || []).map((url) => url.expanded_url).filter(Boolean),
+      photos: media
+        .filter((m) => m.type === 'photo')
+        .map((m) => ({ id: m.id_str, url: m.media_url_https, alt_text: m.ext_alt_text })),
+      videos: media
+        .filter((m) => m.type === 'video' || m.type === 'animated_gif')
+        .map((m) => {
+          const variants = getVideoVariants(m.video_info?.variants);
+          return { id: m.id_str, preview: m.media_url_https, url: variants[0]?.url, variants };
+        }),
+      isReply: Boolean(tweet.in_reply_to_status_id_str),
+      inReplyToStatusId: tweet.in_reply_to_status_id_str || undefined,
+      isRetweet: /^RT @/.test(tweet.full_text || ''),
+      isQuoted: false,
+      isPin: false,
+      sensitiveContent: Boolean(tweet.possibly_sensitive),
+      permanentUrl: `https://twitter.com/${account.username}/status/${tweet.id_str}`,
+    };
+  }
+
+  /**
+   * Reads and normalizes the archive owner's tweets, newest first.
+   * @param {object} account - Account from loadAccount().
+   * @returns {Promise<object[]>} tweets - Normalized tweets.
+   */
+  async loadTweets(account) {
+    const entries = await this.readDataFile('tweets', 'tweet');
+    return entries
+      .map((entry) => this.normalizeTweet(entry.tweet || entry, account))
+      .filter((tweet) => tweet.id && !Number.isNaN(tweet.timestamp))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Reads the tweets the archive owner liked.
+   * @returns {Promise<{tweetId: string, text: string, url: string}[]>} likes - Liked tweets.
+   */
+  async loadLikes() {
+    const entries = await this.readDataFile('like');
+    return entries
+      .map(({ like }) => ({
+        tweetId: like?.tweetId,
+        text: like?.fullText || null,
+        url: like?.expandedUrl || null,
+      }))
+      .filter((like) => like.tweetId);
+  }
+
+  /**
+   * Imports the archive into a new run of the archive owner.
+   * @returns {Promise<{username: string, status: string, tweets: number, duration: number, error: string|null}>}
+   *   result - Outcome of the import; status is success or failed.
+   */
+  async run() {
+    Logger.info(`Importing archive ${this.archiveDir}...`);
+    const startTime = Date.now();
+    const result = { username: path.basename(path.resolve(this.archiveDir)), status: 'success', tweets: 0, duration: 0, error: null };
+    const counts = { archiveTweets: 0, likes: 0, imported: 0 };
+    let dataOrganizer = null;
+    const sinks = new SinkRegistry(this.options.sinks);
+    const failures = []; // Sinks that failed to save part of the import
+
+    try {
+      const account = await this.loadAccount();
+      result.username = account.username;
+      const profile = await this.loadProfile(account);
+      let tweets = await this.loadTweets(account);
+      const likes = await this.loadLikes();
+      Logger.info(`Found ${tweets.length} tweets and ${likes.length} likes for @${account.username}.`);
+      counts.archiveTweets = tweets.length;
+      counts.likes = likes.length;
+
+      const { filter } = this.options;
+      if (filter) {
+        tweets = tweets.filter((tweet) => filter.test(tweet));
+      }
+      result.tweets = tweets.length;
+      counts.imported = tweets.length;
+
+      dataOrganizer = new DataOrganizer(this.options.outputDir, account.username);
+      const run = { username: account.username, dataOrganizer };
+
+      const metadata = {
+        import: { archive: path.resolve(this.archiveDir), likes: likes.length },
+        ...(filter && { filter: filter.getSummary() }),
+      };
+      failures.push(...(await sinks.dispatch('saveProfile', run, profile)));
+      failures.push(...(await sinks.dispatch('saveLikes', run, likes)));
+      if (tweets.length > 0) {
+        failures.push(...(await sinks.dispatch('saveTweets', run, tweets, { metadata })));
+      }
+
+      Logger.success(`✅ Imported archive for @${account.username}.`);
+    } catch (error) {
+      Logger.error(`Archive import failed: ${error.message}`);
+      result.status = 'failed';
+      result.error = error.message;
+    }
+    const importError = result.error;
+    // Data a sink didn't store is missing from it, so the import doesn't count as a success
+    const failImport = ({ sink, error }) => {
+      if (result.status !== 'success') return;
+      result.status = 'failed';
+      result.error = `The ${sink} sink failed: ${error.message}`;
+    };
+    if (failures.length > 0) {
+      failImport(failures[0]);
+    }
+
+    result.duration = Date.now() - startTime;
+    if (dataOrganizer) {
+      const { filter, ...config } = this.options;
+      const manifest = {
+        name: result.username,
+        runId: dataOrganizer.runId,
+        status: result.status,
+        startedAt: new Date(startTime).toISOString(),
+        finishedAt: new Date(startTime + result.duration).toISOString(),
+        durationMs: result.duration,
+        argv: process.argv.slice(2),
+        config,
+        filter: filter?.getSummary() || null,
+        build: getBuildInfo(),
+        source: { type: 'archive', archiveDir: path.resolve(this.archiveDir) },
+        counts,
+        errors: [
+          ...failures.map(({ sink, error }) => ({ stage: `sink:${sink}`, message: error.message })),
+          ...(importError ? [{ stage: 'import', message: importError }] : []),
+        ],
+      };
+      for (const failure of await sinks.dispatch('saveRun', { username: result.username, dataOrganizer }, manifest)) {
+        manifest.errors.push({ stage: `sink:${failure.sink}`, message: failure.error.message });
+        failImport(failure);
+        manifest.status = result.status;
+      }
+      try {
+        await dataOrganizer.saveRunManifest(manifest);
+      } catch {
+        // Already logged, the manifest doesn't change the outcome of the import
+      }
+      await dataOrganizer.removeEmptyDirectories();
+      if (result.status === 'success' && result.tweets > 0 && sinks.has('files')) {
+        await dataOrganizer.linkLatest();
+      }
+    }
+    return result;
+  }
+}
+
+export default ArchiveImporter;
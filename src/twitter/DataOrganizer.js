@@ -4,24 +4,97 @@ import { stat } from 'fs/promises';
 import path from 'path';
 import { format } from 'date-fns';
 import Logger from './Logger.js';
+import { escapeXml, toCsvField, hashFile } from './utils.js';
+
+const RUN_DIRECTORIES = ['raw', 'processed', 'analytics', 'exports', 'meta'];
 
 class DataOrganizer {
-  constructor(baseDir, username) {
+  constructor(baseDir, username, runId = null) {
     this.username = username
-    // Use epoch time for the directory name
-    const epochTime = Math.floor(Date.now() / 1000);
+    // Use epoch time for the directory name, unless an existing run is being resumed
+    this.runId = runId || Math.floor(Date.now() / 1000).toString();
     this.latestPath = path.join(baseDir, username.toLowerCase(), 'latest');
-    this.baseDir = path.join(baseDir, username.toLowerCase(), epochTime.toString());
-    this.createDirectories();
+    this.baseDir = path.join(baseDir, username.toLowerCase(), this.runId);
+    this.ready = this.createDirectories();
+  }
+
+  /**
+   * Finds the most recent run for a user that was interrupted before completing.
+   * @param {string} baseDir - Pipeline base directory.
+   * @param {string} username - Twitter handle.
+   * @returns {Promise<string|null>} runId - The interrupted run's id, or null if the latest checkpointed run completed.
+   */
+  static async findResumableRun(baseDir, username) {
+    const userDir = path.join(baseDir, username.toLowerCase());
+    let runIds;
+    try {
+      runIds = (await fs.readdir(userDir))
+        .filter((entry) => /^\d+$/.test(entry))
+        .sort((a, b) => Number(b) - Number(a));
+    } catch (error) {
+      Logger.debug(`No previous runs found in ${userDir}: ${error.message}`);
+      return null;
+    }
+
+    for (const runId of runIds) {
+      const checkpointPath = path.join(userDir, runId, 'meta', 'checkpoint.json');
+      let checkpoint;
+      try {
+        checkpoint = JSON.parse(await fs.readFile(checkpointPath, 'utf-8'));
+      } catch {
+        continue; // Run without a checkpoint, keep looking
+      }
+      return checkpoint.status === 'in_progress' ? runId : null;
+    }
+    return null;
+  }
+
+  /**
+   * Lists the runs stored for a user, newest first.
+   * @param {string} baseDir - Pipeline base directory.
+   * @param {string} username - Twitter handle.
+   * @returns {Promise<object[]>} runs - Run id, start date, checkpoint status, tweet count and path of each run.
+   */
+  static async listRuns(baseDir, username) {
+    const userDir = path.join(baseDir, username.toLowerCase());
+    let runIds;
+    try {
+      runIds = (await fs.readdir(userDir))
+        .filter((entry) => /^\d+$/.test(entry))
+        .sort((a, b) => Number(b) - Number(a));
+    } catch {
+      return [];
+    }
+
+    const readJson = async (filePath) => {
+      try {
+        return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      } catch {
+        return null;
+      }
+    };
+
+    return Promise.all(
+      runIds.map(async (runId) => {
+        const runDir = path.join(userDir, runId);
+        const checkpoint = await readJson(path.join(runDir, 'meta', 'checkpoint.json'));
+        const stats = await readJson(path.join(runDir, 'analytics', 'stats.json'));
+        return {
+          runId,
+          startedAt: new Date(Number(runId) * 1000),
+          status: checkpoint?.status || (stats ? 'completed' : 'unknown'),
+          totalTweets: stats?.totalTweets ?? checkpoint?.tweets?.length ?? 0,
+          path: runDir,
+        };
+      })
+    );
   }
 
   /**
    * Creates necessary directories for storing data.
    */
   async createDirectories() {
-
-    const dirs = ['raw', 'processed', 'analytics', 'exports', 'meta'];
-    for (const dir of dirs) {
+    for (const dir of RUN_DIRECTORIES) {
       const fullPath = path.join(this.baseDir, dir);
       try {
         await fs.mkdir(fullPath, { recursive: true });
@@ -30,7 +103,28 @@ class DataOrganizer {
         Logger.warn(`⚠️  Failed to create directory ${fullPath}: ${error.message}`);
       }
     }
+  }
+
+  /**
+   * Removes the directories of the run that nothing was written to, e.g. all but meta
+   * for a run that found no new tweets.
+   */
+  async removeEmptyDirectories() {
+    await this.ready;
+    for (const dir of RUN_DIRECTORIES) {
+      try {
+        await fs.rmdir(path.join(this.baseDir, dir));
+      } catch {
+        // Not empty, keep it
+      }
+    }
+  }
 
+  /**
+   * Points the user's `latest` symlink at this run.
+   * Only called for runs that saved tweets, so `latest` always leads to a run with data.
+   */
+  async linkLatest() {
     try {
       await fs.unlink(this.latestPath)
     } catch (error) {
@@ -53,9 +147,17 @@ class DataOrganizer {
       raw: {
         tweets: path.join(this.baseDir, 'raw', 'tweets.json'),
         urls: path.join(this.baseDir, 'raw', 'urls.txt'),
+        context: path.join(this.baseDir, 'raw', 'context.json'),
+        threads: path.join(this.baseDir, 'raw', 'threads.json'),
+        media: path.join(this.baseDir, 'raw', 'media'),
+        mediaManifest: path.join(this.baseDir, 'raw', 'media.json'),
+        inbound: path.join(this.baseDir, 'raw', 'inbound.json'),
+        likes: path.join(this.baseDir, 'raw', 'likes.json'),
       },
       processed: {
         finetuning: path.join(this.baseDir, 'processed', 'finetuning.jsonl'),
+        conversations: path.join(this.baseDir, 'processed', 'conversations.jsonl'),
+        pairs: path.join(this.baseDir, 'processed', 'pairs.jsonl'),
       },
       analytics: {
         stats: path.join(this.baseDir, 'analytics', 'stats.json'),
@@ -63,9 +165,14 @@ class DataOrganizer {
       exports: {
         summary: path.join(this.baseDir, 'exports', 'summary.md'),
         atomFeed: path.join(this.baseDir, 'exports', 'feed.atom'),
+        graphml: path.join(this.baseDir, 'exports', 'graph.graphml'),
+        edges: path.join(this.baseDir, 'exports', 'edges.csv'),
       },
       meta: {
         nextToken: path.join(this.baseDir, 'meta', 'next_token.txt'),
+        checkpoint: path.join(this.baseDir, 'meta', 'checkpoint.json'),
+        profile: path.join(this.baseDir, 'meta', 'profile.json'),
+        run: path.join(this.baseDir, 'meta', 'run.json'),
       },
     };
   }
@@ -92,6 +199,7 @@ class DataOrganizer {
    * @returns {Promise<void>}
    */
   async saveNextToken(nextToken) {
+    await this.ready;
     try {
       await fs.writeFile(this.getPaths().meta.nextToken, nextToken, 'utf-8');
       Logger.debug(`✅ Saved next_token: ${nextToken}`);
@@ -100,12 +208,88 @@ class DataOrganizer {
     }
   }
 
+  /**
+   * Checkpoints an in-progress collection so it can be resumed later.
+   * @param {object} checkpoint - Collection state.
+   * @param {string|null} checkpoint.cursor - Pagination cursor for the next page.
+   * @param {object[]} checkpoint.tweets - Tweets gathered so far.
+   * @param {object} checkpoint.stats - Collection statistics so far.
+   * @returns {Promise<void>}
+   */
+  async saveCheckpoint({ cursor, tweets, stats }) {
+    await this.ready;
+    const checkpointPath = this.getPaths().meta.checkpoint;
+    const tmpPath = `${checkpointPath}.tmp`;
+
+    if (cursor) {
+      await this.saveNextToken(cursor);
+    }
+
+    try {
+      // Write to a temporary file first so a crash never leaves a truncated checkpoint
+      await fs.writeFile(
+        tmpPath,
+        JSON.stringify({
+          status: 'in_progress',
+          updatedAt: new Date().toISOString(),
+          stats,
+          tweets,
+        }),
+        'utf-8'
+      );
+      await fs.rename(tmpPath, checkpointPath);
+      Logger.debug(`✅ Saved checkpoint with ${tweets.length} tweets to ${checkpointPath}`);
+    } catch (error) {
+      Logger.warn(`⚠️  Failed to save checkpoint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Loads the checkpoint of an interrupted collection.
+   * @returns {Promise<object|null>} checkpoint - Checkpoint with cursor, tweets and stats, or null if none exists.
+   */
+  async loadCheckpoint() {
+    try {
+      const data = await fs.readFile(this.getPaths().meta.checkpoint, 'utf-8');
+      const checkpoint = JSON.parse(data);
+      if (checkpoint.status !== 'in_progress') {
+        return null;
+      }
+      return {
+        ...checkpoint,
+        cursor: await this.getLastNextToken(),
+      };
+    } catch (error) {
+      Logger.warn(`⚠️  No checkpoint found in ${this.baseDir}. Starting fresh.`);
+      return null;
+    }
+  }
+
+  /**
+   * Marks the run's checkpoint as completed, dropping the buffered tweets.
+   * @returns {Promise<void>}
+   */
+  async completeCheckpoint() {
+    await this.ready;
+    try {
+      await fs.writeFile(
+        this.getPaths().meta.checkpoint,
+        JSON.stringify({ status: 'completed', updatedAt: new Date().toISOString() }),
+        'utf-8'
+      );
+    } catch (error) {
+      Logger.warn(`⚠️  Failed to complete checkpoint: ${error.message}`);
+    }
+  }
+
   /**
    * Saves collected tweets and related data.
    * @param {object[]} tweets - Array of tweet objects.
+   * @param {object} [runStats] - Extra run statistics merged into stats.json.
    * @returns {object} analytics - Generated analytics from tweets.
    */
-  async saveTweets(tweets) {
+  async saveTweets(tweets, runStats = {}) {
+    await this.ready;
     const paths = this.getPaths();
 
     try {
@@ -123,7 +307,7 @@ class DataOrganizer {
       Logger.success(`✅ Saved tweet URLs to ${paths.raw.urls}`);
 
       // Generate and save analytics
-      const analytics = this.generateAnalytics(tweets);
+      const analytics = { ...this.generateAnalytics(tweets), ...runStats };
       await fs.writeFile(
         paths.analytics.stats,
         JSON.stringify(analytics, null, 2),
@@ -167,6 +351,307 @@ class DataOrganizer {
     }
   }
 
+  /**
+   * Saves the context tweets of the user's replies along with the reconstructed threads.
+   * @param {object[]} tweets - The user's tweets.
+   * @param {object[]} contextTweets - Parent and conversation tweets fetched for the replies.
+   * @returns {object[]} threads - Reconstructed threads.
+   */
+  async saveThreads(tweets, contextTweets) {
+    await this.ready;
+    const paths = this.getPaths();
+
+    try {
+      await fs.writeFile(
+        paths.raw.context,
+        JSON.stringify(contextTweets, null, 2),
+        'utf-8'
+      );
+      Logger.success(`✅ Saved ${contextTweets.length} context tweets to ${paths.raw.context}`);
+
+      const threads = this.buildThreads(tweets, contextTweets);
+      await fs.writeFile(
+        paths.raw.threads,
+        JSON.stringify(threads, null, 2),
+        'utf-8'
+      );
+      Logger.success(`✅ Saved ${threads.length} threads to ${paths.raw.threads}`);
+
+      const conversations = this.generateConversationData(threads);
+      if (conversations.length > 0) {
+        await fs.writeFile(
+          paths.processed.conversations,
+          conversations.map((c) => JSON.stringify(c)).join('\n'),
+          'utf-8'
+        );
+        Logger.success(`✅ Saved conversation data to ${paths.processed.conversations}`);
+      } else {
+        Logger.warn('⚠️  No conversation data to save.');
+      }
+
+      return threads;
+    } catch (error) {
+      Logger.error(`❌ Error saving threads: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconstructs the thread leading to each of the user's replies.
+   * @param {object[]} tweets - The user's tweets.
+   * @param {object[]} contextTweets - Parent and conversation tweets.
+   * @returns {object[]} threads - One entry per reply with its ancestors, root first.
+   */
+  buildThreads(tweets, contextTweets) {
+    const byId = new Map(
+      [...contextTweets, ...tweets].map((tweet) => [tweet.id, tweet])
+    );
+
+    return tweets
+      .filter((tweet) => tweet.isReply && tweet.inReplyToStatusId)
+      .map((tweet) => {
+        const chain = [tweet];
+        const seen = new Set([tweet.id]);
+        let parent = byId.get(tweet.inReplyToStatusId);
+        while (parent && !seen.has(parent.id)) {
+          chain.unshift(parent);
+          seen.add(parent.id);
+          parent = parent.inReplyToStatusId ? byId.get(parent.inReplyToStatusId) : null;
+        }
+
+        return {
+          tweetId: tweet.id,
+          conversationId: tweet.conversationId || null,
+          complete: !chain[0].inReplyToStatusId,
+          tweets: chain.map((t) => ({
+            id: t.id,
+            parentId: t.inReplyToStatusId || null,
+            username: t.username,
+            text: t.text,
+            timestamp: t.timestamp,
+            url: t.permanentUrl,
+          })),
+        };
+      })
+      .filter((thread) => thread.tweets.length > 1);
+  }
+
+  /**
+   * Generates chat-style training data from threads, with the user's tweets as assistant turns.
+   * @param {object[]} threads - Threads from buildThreads().
+   * @returns {object[]} conversations - Array of {messages} objects.
+   */
+  generateConversationData(threads) {
+    const username = this.username.toLowerCase();
+    return threads
+      .map((thread) => ({
+        messages: thread.tweets
+          .filter((t) => t.text)
+          .map((t) => ({
+            role: t.username?.toLowerCase() === username ? 'assistant' : 'user',
+            content: t.text,
+          })),
+      }))
+      .filter(({ messages }) =>
+        messages.some((m) => m.role === 'user') &&
+        messages[messages.length - 1].role === 'assistant'
+      );
+  }
+
+  /**
+   * Saves the tweets directed at the user, along with prompt/response pairs for the
+   * ones the user replied to.
+   * @param {object[]} tweets - The user's tweets.
+   * @param {object[]} inboundTweets - Tweets mentioning or replying to the user.
+   * @returns {Promise<object[]>} pairs - Prompt/response pairs.
+   */
+  async saveInboundTweets(tweets, inboundTweets) {
+    await this.ready;
+    const paths = this.getPaths();
+    const pairs = this.buildPromptResponsePairs(tweets, inboundTweets);
+    const responses = new Map(pairs.map((pair) => [pair.promptId, pair.responseId]));
+
+    try {
+      await fs.writeFile(
+        paths.raw.inbound,
+        JSON.stringify(
+          inboundTweets.map((tweet) => ({ ...tweet, responseId: responses.get(tweet.id) || null })),
+          null,
+          2
+        ),
+        'utf-8'
+      );
+      Logger.success(`✅ Saved ${inboundTweets.length} inbound tweets to ${paths.raw.inbound}`);
+
+      if (pairs.length > 0) {
+        await fs.writeFile(
+          paths.processed.pairs,
+          pairs.map((pair) => JSON.stringify(pair)).join('\n'),
+          'utf-8'
+        );
+        Logger.success(`✅ Saved ${pairs.length} prompt/response pairs to ${paths.processed.pairs}`);
+      } else {
+        Logger.warn('⚠️  No prompt/response pairs to save.');
+      }
+
+      return pairs;
+    } catch (error) {
+      Logger.error(`❌ Error saving inbound tweets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Pairs each inbound tweet with the user's reply to it.
+   * @param {object[]} tweets - The user's tweets.
+   * @param {object[]} inboundTweets - Tweets mentioning or replying to the user.
+   * @returns {object[]} pairs - Array of {promptId, promptAuthor, prompt, responseId, response} objects.
+   */
+  buildPromptResponsePairs(tweets, inboundTweets) {
+    const replies = new Map(
+      tweets
+        .filter((tweet) => tweet.isReply && tweet.inReplyToStatusId && tweet.text)
+        .map((tweet) => [tweet.inReplyToStatusId, tweet])
+    );
+
+    return inboundTweets
+      .filter((tweet) => tweet.text && replies.has(tweet.id))
+      .map((tweet) => {
+        const reply = replies.get(tweet.id);
+        return {
+          promptId: tweet.id,
+          promptAuthor: tweet.username,
+          prompt: tweet.text,
+          responseId: reply.id,
+          response: reply.text,
+        };
+      });
+  }
+
+  /**
+   * Lists the SHA-256 hash and size of every file in the run directory except the manifest.
+   * @returns {Promise<object>} outputs - Map of path relative to the run directory to {sha256, size}.
+   */
+  async hashOutputs() {
+    const manifestPath = this.getPaths().meta.run;
+    const outputs = {};
+
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile() && fullPath !== manifestPath) {
+          const { size } = await stat(fullPath);
+          outputs[path.relative(this.baseDir, fullPath)] = { sha256: await hashFile(fullPath), size };
+        }
+      }
+    };
+
+    await walk(this.baseDir);
+    return outputs;
+  }
+
+  /**
+   * Saves the run manifest, adding the hashes of the run's output files.
+   * @param {object} manifest - Provenance of the run.
+   * @returns {Promise<void>}
+   */
+  async saveRunManifest(manifest) {
+    await this.ready;
+    const manifestPath = this.getPaths().meta.run;
+    try {
+      const outputs = await this.hashOutputs();
+      await fs.writeFile(manifestPath, JSON.stringify({ ...manifest, outputs }, null, 2), 'utf-8');
+      Logger.success(`✅ Saved run manifest to ${manifestPath}`);
+    } catch (error) {
+      Logger.error(`❌ Error saving run manifest: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Saves the user's profile snapshot for this run.
+   * @param {object} profile - Profile snapshot.
+   * @returns {Promise<void>}
+   */
+  async saveProfile(profile) {
+    await this.ready;
+    const profilePath = this.getPaths().meta.profile;
+    try {
+      await fs.writeFile(profilePath, JSON.stringify(profile, null, 2), 'utf-8');
+      Logger.success(`✅ Saved profile to ${profilePath}`);
+    } catch (error) {
+      Logger.error(`❌ Error saving profile: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Saves the user's follow graph as a GraphML file and a CSV edge list.
+   * Edges point from the follower to the followed account.
+   * @param {object} account - Profile snapshot of the user.
+   * @param {{followers: object[], following: object[]}} graph - Followers and followed accounts.
+   * @returns {Promise<void>}
+   */
+  async saveFollowGraph(account, graph) {
+    await this.ready;
+    const paths = this.getPaths();
+    const nodes = new Map(
+      [account, ...graph.followers, ...graph.following].map((profile) => [profile.userId, profile])
+    );
+    const edges = [
+      ...graph.followers.map((profile) => ({ source: profile, target: account })),
+      ...graph.following.map((profile) => ({ source: account, target: profile })),
+    ];
+
+    try {
+      await fs.writeFile(paths.exports.graphml, this.generateGraphML(nodes, edges), 'utf-8');
+      Logger.success(`✅ Saved follow graph to ${paths.exports.graphml}`);
+
+      await fs.writeFile(paths.exports.edges, this.generateEdgeList(edges), 'utf-8');
+      Logger.success(`✅ Saved ${edges.length} follow edges to ${paths.exports.edges}`);
+    } catch (error) {
+      Logger.error(`❌ Error saving follow graph: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Saves the tweets the user liked.
+   * @param {object[]} likes - Array of {tweetId, text, url} objects.
+   * @returns {Promise<void>}
+   */
+  async saveLikes(likes) {
+    await this.ready;
+    const likesPath = this.getPaths().raw.likes;
+    try {
+      await fs.writeFile(likesPath, JSON.stringify(likes, null, 2), 'utf-8');
+      Logger.success(`✅ Saved ${likes.length} likes to ${likesPath}`);
+    } catch (error) {
+      Logger.error(`❌ Error saving likes: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Saves the media manifest mapping tweet ids to their archived files in raw/media.
+   * @param {object} manifest - Manifest produced by MediaArchiver.
+   * @returns {Promise<void>}
+   */
+  async saveMediaManifest(manifest) {
+    await this.ready;
+    const manifestPath = this.getPaths().raw.mediaManifest;
+    try {
+      await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf-8');
+      Logger.success(`✅ Saved media manifest to ${manifestPath}`);
+    } catch (error) {
+      Logger.error(`❌ Error saving media manifest: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Generates analytics from tweets.
    * @param {object[]} tweets - Array of tweet objects.
@@ -226,7 +711,7 @@ class DataOrganizer {
           0
         ),
         totalRetweetCount: tweetsForEngagement.reduce(
-          (sum, t) => sum + (t.retweetCount || 0),
+          (sum, t) => sum + (t.retweets ?? t.retweetCount ?? 0),
           0
         ),
         totalReplies: tweetsForEngagement.reduce(
@@ -244,7 +729,7 @@ class DataOrganizer {
             id: t.id,
             text: t.text.slice(0, 100),
             likes: t.likes,
-            retweetCount: t.retweetCount,
+            retweetCount: t.retweets ?? t.retweetCount,
             url: t.permanentUrl,
           })),
       },
@@ -385,6 +870,55 @@ Raw data, analytics, and exports can be found in:
     return atomFeed;
   }
 
+  /**
+   * Generates a GraphML document of a follow graph.
+   * @param {Map<string, object>} nodes - Profiles keyed by user id.
+   * @param {{source: object, target: object}[]} edges - Follow edges.
+   * @returns {string} graphml - GraphML formatted graph.
+   */
+  generateGraphML(nodes, edges) {
+    const nodeElements = Array.from(nodes.values()).map((profile) => {
+      const data = Object.entries({
+        username: profile.username,
+        name: profile.name,
+        followers: profile.followersCount,
+        following: profile.followingCount,
+      })
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `
+      <data key="${key}">${escapeXml(value)}</data>`);
+      return `
+    <node id="${escapeXml(profile.userId)}">${data.join('')}
+    </node>`;
+    });
+
+    const edgeElements = edges.map(({ source, target }) => `
+    <edge source="${escapeXml(source.userId)}" target="${escapeXml(target.userId)}"/>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="username" for="node" attr.name="username" attr.type="string"/>
+  <key id="name" for="node" attr.name="name" attr.type="string"/>
+  <key id="followers" for="node" attr.name="followers" attr.type="int"/>
+  <key id="following" for="node" attr.name="following" attr.type="int"/>
+  <graph id="${escapeXml(this.username)}" edgedefault="directed">${nodeElements.join('')}${edgeElements.join('')}
+  </graph>
+</graphml>
+`;
+  }
+
+  /**
+   * Generates a CSV edge list of a follow graph.
+   * @param {{source: object, target: object}[]} edges - Follow edges.
+   * @returns {string} csv - One row per edge, from follower to followed account.
+   */
+  generateEdgeList(edges) {
+    const rows = edges.map(({ source, target }) =>
+      [source.userId, source.username, target.userId, target.username].map(toCsvField).join(',')
+    );
+    return ['source_id,source_username,target_id,target_username', ...rows].join('\n') + '\n';
+  }
+
 }
 
 export default DataOrganizer;
@@ -2,17 +2,19 @@
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import Logger from './Logger.js';
+import MIGRATIONS from './migrations.js';
 
 class DatabaseManager {
   static instance = null;
 
   /**
    * Returns the singleton instance of DatabaseManager.
+   * @param {string} [databasePath] - Database file used when the instance is first created.
    * @returns {DatabaseManager}
    */
-  static getInstance() {
+  static getInstance(databasePath) {
     if (!DatabaseManager.instance) {
-      DatabaseManager.instance = new DatabaseManager();
+      DatabaseManager.instance = new DatabaseManager(databasePath);
     }
     return DatabaseManager.instance;
   }
@@ -20,42 +22,107 @@ class DatabaseManager {
   constructor(databasePath = 'tweets.db') {
     this.databasePath = databasePath;
     this.db = null;
+    this.queue = Promise.resolve(); // Serializes writes from concurrent pipelines
   }
 
   /**
-   * Initializes the database and creates necessary tables.
+   * Runs a database task after all previously queued tasks have finished.
+   * The connection is shared by every pipeline, so multi-statement writes go through
+   * this queue to keep them from interleaving.
+   * @param {Function} task - Async function using this.db.
+   * @returns {Promise<*>} - Result of the task.
    */
-  async initialize() {
+  serialize(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Opens the database and migrates it to the latest schema.
+   * @param {object} [options]
+   * @param {boolean} [options.readOnly=false] - Open the database read-only, without migrating it.
+   */
+  async initialize({ readOnly = false } = {}) {
     if (this.db) {
       Logger.info('Database is already initialized.');
       return;
     }
 
     Logger.info('Initializing database...');
-    this.db = await open({
-      filename: this.databasePath,
-      driver: sqlite3.Database,
-    });
+    try {
+      this.db = await open({
+        filename: this.databasePath,
+        driver: sqlite3.Database,
+        ...(readOnly && { mode: sqlite3.OPEN_READONLY }),
+      });
+    } catch (error) {
+      // Opening read-only never creates the file
+      if (readOnly && error.code === 'SQLITE_CANTOPEN') {
+        throw new Error(`Cannot open ${this.databasePath}, run a scrape or import first to create it.`);
+      }
+      throw error;
+    }
 
-    const createTableQuery = `
-      CREATE TABLE IF NOT EXISTS tweets (
-        id TEXT PRIMARY KEY,
-        username TEXT,
-        text TEXT,
-        timestamp INTEGER,
-        likes INTEGER,
-        retweets INTEGER,
-        replies INTEGER,
-        url TEXT
+    if (readOnly) {
+      Logger.success('✅ Database opened read-only.');
+      return;
+    }
+    await this.migrate();
+    Logger.success('✅ Database initialized and table ready.');
+  }
+
+  /**
+   * Checks that the database schema is at the latest version.
+   * A database opened read-only isn't migrated, so commands reading tables or columns of
+   * newer schemas call this first to report an old database clearly.
+   */
+  async requireLatestSchema() {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+    const { user_version: current } = await this.db.get('PRAGMA user_version');
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    if (current < latest) {
+      throw new Error(
+        `${this.databasePath} is at database schema version ${current} of ${latest}. ` +
+        'Run a scrape or import once to upgrade it.'
       );
-    `;
+    }
+  }
 
-    await this.db.exec(createTableQuery);
-    Logger.success('✅ Database initialized and table ready.');
+  /**
+   * Upgrades the database schema in place by applying the pending migrations.
+   * Each migration runs in its own transaction, so a failed one leaves the database
+   * at the previous version.
+   */
+  async migrate() {
+    const { user_version: current } = await this.db.get('PRAGMA user_version');
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    if (current > latest) {
+      Logger.warn(`Database schema version ${current} is newer than this code supports (${latest}).`);
+      return;
+    }
+
+    for (const migration of MIGRATIONS.filter(({ version }) => version > current)) {
+      Logger.info(`Migrating database to version ${migration.version} (${migration.description})...`);
+      try {
+        await this.db.exec('BEGIN');
+        await migration.up(this.db);
+        await this.db.exec(`PRAGMA user_version = ${migration.version}`);
+        await this.db.exec('COMMIT');
+      } catch (error) {
+        await this.db.exec('ROLLBACK').catch(() => {});
+        throw new Error(`Database migration to version ${migration.version} failed: ${error.message}`);
+      }
+    }
   }
 
   /**
-   * Saves a batch of tweets to the database.
+   * Saves a batch of tweets to the database, with their hashtags, mentions, URLs and media.
+   * Tweets seen before get their current values updated, and every save records a snapshot
+   * of the engagement counts in tweet_metrics. Counts a source doesn't provide, such as
+   * replies in account archives, are stored as null and keep the values already stored.
    * @param {Array} tweets - List of tweet objects.
    */
   async saveTweets(tweets) {
@@ -64,30 +131,841 @@ class DatabaseManager {
     }
 
     const insertQuery = `
-      INSERT OR IGNORE INTO tweets (id, username, text, timestamp, likes, retweets, replies, url)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?);
+      INSERT INTO tweets (
+        id, username, text, timestamp, likes, retweets, replies, url,
+        user_id, name, created_at, conversation_id, in_reply_to_id, quoted_id, retweeted_id,
+        is_reply, is_retweet, is_quote, is_pin, is_self_thread, is_sensitive, views, bookmarks, raw_json
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        text = excluded.text,
+        likes = COALESCE(excluded.likes, tweets.likes),
+        retweets = COALESCE(excluded.retweets, tweets.retweets),
+        replies = COALESCE(excluded.replies, tweets.replies),
+        url = COALESCE(excluded.url, tweets.url),
+        user_id = COALESCE(excluded.user_id, tweets.user_id),
+        name = COALESCE(excluded.name, tweets.name),
+        created_at = COALESCE(excluded.created_at, tweets.created_at),
+        conversation_id = COALESCE(excluded.conversation_id, tweets.conversation_id),
+        in_reply_to_id = COALESCE(excluded.in_reply_to_id, tweets.in_reply_to_id),
+        quoted_id = COALESCE(excluded.quoted_id, tweets.quoted_id),
+        retweeted_id = COALESCE(excluded.retweeted_id, tweets.retweeted_id),
+        is_reply = excluded.is_reply,
+        is_retweet = excluded.is_retweet,
+        is_quote = excluded.is_quote,
+        is_pin = excluded.is_pin,
+        is_self_thread = excluded.is_self_thread,
+        is_sensitive = excluded.is_sensitive,
+        views = COALESCE(excluded.views, tweets.views),
+        bookmarks = COALESCE(excluded.bookmarks, tweets.bookmarks),
+        raw_json = excluded.raw_json;
     `;
+    const childQueries = {
+      metrics: `
+        INSERT OR REPLACE INTO tweet_metrics (tweet_id, observed_at, likes, retweets, replies, views)
+        VALUES (?, ?, ?, ?, ?, ?);
+      `,
+      hashtags: 'INSERT OR IGNORE INTO tweet_hashtags (tweet_id, hashtag) VALUES (?, ?);',
+      mentions: 'INSERT OR IGNORE INTO tweet_mentions (tweet_id, user_id, username, name) VALUES (?, ?, ?, ?);',
+      urls: 'INSERT OR IGNORE INTO tweet_urls (tweet_id, url) VALUES (?, ?);',
+      media: `
+        INSERT OR IGNORE INTO tweet_media (tweet_id, media_id, type, url, preview_url, alt_text)
+        VALUES (?, ?, ?, ?, ?, ?);
+      `,
+    };
+    const flag = (value) => (value ? 1 : 0);
+    const observedAt = Math.floor(Date.now() / 1000);
 
-    const stmt = await this.db.prepare(insertQuery);
-    try {
-      for (const tweet of tweets) {
-        await stmt.run(
-          tweet.id,
-          tweet.username,
-          tweet.text,
-          tweet.timestamp,
-          tweet.likes || 0,
-          tweet.retweetCount || 0,
-          tweet.replies || 0,
-          tweet.permanentUrl || null
+    await this.serialize(async () => {
+      const stmt = await this.db.prepare(insertQuery);
+      const childStmts = {};
+      for (const [name, query] of Object.entries(childQueries)) {
+        childStmts[name] = await this.db.prepare(query);
+      }
+      try {
+        await this.db.exec('BEGIN');
+        for (const tweet of tweets) {
+          const createdAt = tweet.timestamp ? new Date(tweet.timestamp * 1000).toISOString() : null;
+          const likes = tweet.likes ?? null;
+          const retweets = tweet.retweets ?? tweet.retweetCount ?? null;
+          const replies = tweet.replies ?? null;
+          const views = tweet.views ?? null;
+          await stmt.run(
+            tweet.id,
+            tweet.username,
+            tweet.text,
+            tweet.timestamp,
+            likes,
+            retweets,
+            replies,
+            tweet.permanentUrl || null,
+            tweet.userId || null,
+            tweet.name || null,
+            createdAt,
+            tweet.conversationId || null,
+            tweet.inReplyToStatusId || null,
+            tweet.quotedStatusId || null,
+            tweet.retweetedStatusId || null,
+            flag(tweet.isReply),
+            flag(tweet.isRetweet),
+            flag(tweet.isQuoted),
+            flag(tweet.isPin),
+            flag(tweet.isSelfThread),
+            flag(tweet.sensitiveContent),
+            views,
+            tweet.bookmarkCount ?? null,
+            JSON.stringify(tweet)
+          );
+          if ([likes, retweets, replies, views].some((count) => count !== null)) {
+            await childStmts.metrics.run(tweet.id, observedAt, likes, retweets, replies, views);
+          }
+
+          for (const hashtag of tweet.hashtags || []) {
+            await childStmts.hashtags.run(tweet.id, hashtag);
+          }
+          for (const mention of tweet.mentions || []) {
+            await childStmts.mentions.run(
+              tweet.id,
+              mention.id || mention.username,
+              mention.username || null,
+              mention.name || null
+            );
+          }
+          for (const url of tweet.urls || []) {
+            await childStmts.urls.run(tweet.id, url);
+          }
+          for (const photo of tweet.photos || []) {
+            await childStmts.media.run(tweet.id, photo.id || photo.url, 'photo', photo.url, null, photo.alt_text || null);
+          }
+          for (const video of tweet.videos || []) {
+            await childStmts.media.run(tweet.id, video.id || video.url, 'video', video.url || null, video.preview || null, null);
+          }
+        }
+        await this.db.exec('COMMIT');
+        Logger.success(`✅ Saved ${tweets.length} tweets to the database.`);
+      } catch (error) {
+        await this.db.exec('ROLLBACK').catch(() => {});
+        Logger.error(`❌ Error saving tweets to database: ${error.message}`);
+        throw error;
+      } finally {
+        await stmt.finalize();
+        for (const childStmt of Object.values(childStmts)) {
+          await childStmt.finalize();
+        }
+      }
+    });
+  }
+
+  /**
+   * Saves the reply and conversation links of a batch of tweets.
+   * @param {Array} tweets - List of tweet objects.
+   */
+  async saveThreadLinks(tweets) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const linked = tweets.filter((tweet) => tweet.inReplyToStatusId || tweet.conversationId);
+    const insertQuery = `
+      INSERT OR REPLACE INTO tweet_threads (tweet_id, parent_id, conversation_id)
+      VALUES (?, ?, ?);
+    `;
+
+    await this.serialize(async () => {
+      const stmt = await this.db.prepare(insertQuery);
+      try {
+        await this.db.exec('BEGIN');
+        for (const tweet of linked) {
+          await stmt.run(tweet.id, tweet.inReplyToStatusId || null, tweet.conversationId || null);
+        }
+        await this.db.exec('COMMIT');
+        Logger.success(`✅ Saved thread links for ${linked.length} tweets to the database.`);
+      } catch (error) {
+        await this.db.exec('ROLLBACK').catch(() => {});
+        Logger.error(`❌ Error saving thread links to database: ${error.message}`);
+        throw error;
+      } finally {
+        await stmt.finalize();
+      }
+    });
+  }
+
+  /**
+   * Saves the tweets a user liked, as listed in their account archive.
+   * @param {string} username - Twitter handle of the user who liked the tweets.
+   * @param {Array} likes - Array of {tweetId, text, url} objects.
+   */
+  async saveLikedTweets(username, likes) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const insertQuery = `
+      INSERT OR IGNORE INTO liked_tweets (username, tweet_id, text, url)
+      VALUES (?, ?, ?, ?);
+    `;
+
+    await this.serialize(async () => {
+      const stmt = await this.db.prepare(insertQuery);
+      try {
+        await this.db.exec('BEGIN');
+        for (const like of likes) {
+          await stmt.run(username.toLowerCase(), like.tweetId, like.text, like.url);
+        }
+        await this.db.exec('COMMIT');
+        Logger.success(`✅ Saved ${likes.length} liked tweets for @${username} to the database.`);
+      } catch (error) {
+        await this.db.exec('ROLLBACK').catch(() => {});
+        Logger.error(`❌ Error saving liked tweets to database: ${error.message}`);
+        throw error;
+      } finally {
+        await stmt.finalize();
+      }
+    });
+  }
+
+  /**
+   * Tags tweets with the search query or list they were collected for.
+   * The tweets themselves are saved with saveTweets().
+   * @param {string} query - Search expression, or `list:<id>` for lists.
+   * @param {Array} tweets - List of tweet objects.
+   * @param {string} runId - Run the tweets were collected in.
+   */
+  async saveQueryTweets(query, tweets, runId) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const insertQuery = `
+      INSERT OR IGNORE INTO query_tweets (query, tweet_id, run_id)
+      VALUES (?, ?, ?);
+    `;
+
+    await this.serialize(async () => {
+      const stmt = await this.db.prepare(insertQuery);
+      try {
+        await this.db.exec('BEGIN');
+        for (const tweet of tweets) {
+          await stmt.run(query, tweet.id, runId);
+        }
+        await this.db.exec('COMMIT');
+        Logger.success(`✅ Tagged ${tweets.length} tweets with query "${query}" in the database.`);
+      } catch (error) {
+        await this.db.exec('ROLLBACK').catch(() => {});
+        Logger.error(`❌ Error tagging query tweets in database: ${error.message}`);
+        throw error;
+      } finally {
+        await stmt.finalize();
+      }
+    });
+  }
+
+  /**
+   * Flags tweets as directed at a user and links each one to the user's stored reply to it.
+   * Tweets flagged in earlier runs are linked too once the user's reply is stored.
+   * The tweets themselves are saved with saveTweets().
+   * @param {string} username - Twitter handle the tweets are directed at.
+   * @param {Array} inboundTweets - Tweets mentioning or replying to the user.
+   */
+  async saveInboundTweets(username, inboundTweets) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const insertQuery = `
+      INSERT OR IGNORE INTO inbound_tweets (tweet_id, target_username)
+      VALUES (?, ?);
+    `;
+    const linkQuery = `
+      UPDATE inbound_tweets
+      SET response_id = (
+        SELECT tt.tweet_id FROM tweet_threads tt
+        JOIN tweets t ON t.id = tt.tweet_id
+        WHERE tt.parent_id = inbound_tweets.tweet_id AND t.username = inbound_tweets.target_username COLLATE NOCASE
+        ORDER BY t.timestamp
+        LIMIT 1
+      )
+      WHERE target_username = ? AND response_id IS NULL;
+    `;
+
+    await this.serialize(async () => {
+      const stmt = await this.db.prepare(insertQuery);
+      try {
+        await this.db.exec('BEGIN');
+        for (const tweet of inboundTweets) {
+          await stmt.run(tweet.id, username.toLowerCase());
+        }
+        await this.db.run(linkQuery, username.toLowerCase());
+        await this.db.exec('COMMIT');
+        Logger.success(`✅ Saved ${inboundTweets.length} inbound tweets for @${username} to the database.`);
+      } catch (error) {
+        await this.db.exec('ROLLBACK').catch(() => {});
+        Logger.error(`❌ Error saving inbound tweets to database: ${error.message}`);
+        throw error;
+      } finally {
+        await stmt.finalize();
+      }
+    });
+  }
+
+  /**
+   * Saves a profile snapshot to the profile history.
+   * Snapshots are keyed by run, so a resumed run replaces its earlier snapshot.
+   * @param {object} profile - Profile snapshot.
+   * @param {string} runId - Run the snapshot belongs to.
+   */
+  async saveProfile(profile, runId) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const insertQuery = `
+      INSERT OR REPLACE INTO profiles (
+        username, run_id, user_id, name, biography, location, website, avatar, banner,
+        followers_count, following_count, tweets_count, likes_count, listed_count,
+        joined, is_verified, is_private, fetched_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+    `;
+
+    await this.serialize(async () => {
+      try {
+        await this.db.run(
+          insertQuery,
+          profile.username.toLowerCase(),
+          runId,
+          profile.userId,
+          profile.name,
+          profile.biography,
+          profile.location,
+          profile.website,
+          profile.avatar,
+          profile.banner,
+          profile.followersCount,
+          profile.followingCount,
+          profile.tweetsCount,
+          profile.likesCount,
+          profile.listedCount,
+          profile.joined,
+          profile.isVerified ? 1 : 0,
+          profile.isPrivate ? 1 : 0,
+          profile.fetchedAt
         );
+        Logger.success(`✅ Saved profile snapshot for @${profile.username} to the database.`);
+      } catch (error) {
+        Logger.error(`❌ Error saving profile to database: ${error.message}`);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Retrieves the most recent profile snapshot of a user.
+   * @param {string} username - Twitter handle.
+   * @returns {Promise<object|null>} - Profile row, or null if no snapshot is stored.
+   */
+  async getLatestProfile(username) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const latestQuery = `
+      SELECT * FROM profiles
+      WHERE username = ? COLLATE NOCASE
+      ORDER BY fetched_at DESC
+      LIMIT 1;
+    `;
+
+    const row = await this.db.get(latestQuery, username);
+    return row || null;
+  }
+
+  /**
+   * Saves a user's followers and followed accounts as follow edges.
+   * Edges seen again in a later run keep their first run and get their last run updated.
+   * @param {object} account - Profile snapshot of the user.
+   * @param {{followers: object[], following: object[]}} graph - Followers and followed accounts.
+   * @param {string} runId - Run the graph was collected in.
+   */
+  async saveFollowGraph(account, graph, runId) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const accountQuery = `
+      INSERT INTO accounts (user_id, username, name, followers_count, following_count, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET
+        username = excluded.username,
+        name = excluded.name,
+        followers_count = excluded.followers_count,
+        following_count = excluded.following_count,
+        updated_at = excluded.updated_at;
+    `;
+    const edgeQuery = `
+      INSERT INTO follow_edges (follower_id, followed_id, first_seen_run, last_seen_run)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (follower_id, followed_id) DO UPDATE SET last_seen_run = excluded.last_seen_run;
+    `;
+
+    const updatedAt = new Date().toISOString();
+    const edges = [
+      ...graph.followers.map((profile) => [profile.userId, account.userId]),
+      ...graph.following.map((profile) => [account.userId, profile.userId]),
+    ];
+
+    await this.serialize(async () => {
+      const accountStmt = await this.db.prepare(accountQuery);
+      const edgeStmt = await this.db.prepare(edgeQuery);
+      try {
+        await this.db.exec('BEGIN');
+        for (const profile of [account, ...graph.followers, ...graph.following]) {
+          await accountStmt.run(
+            profile.userId,
+            profile.username,
+            profile.name || null,
+            profile.followersCount ?? null,
+            profile.followingCount ?? null,
+            updatedAt
+          );
+        }
+        for (const [followerId, followedId] of edges) {
+          await edgeStmt.run(followerId, followedId, runId, runId);
+        }
+        await this.db.exec('COMMIT');
+        Logger.success(`✅ Saved ${edges.length} follow edges for @${account.username} to the database.`);
+      } catch (error) {
+        await this.db.exec('ROLLBACK').catch(() => {});
+        Logger.error(`❌ Error saving follow graph to database: ${error.message}`);
+        throw error;
+      } finally {
+        await accountStmt.finalize();
+        await edgeStmt.finalize();
       }
-      Logger.success(`✅ Saved ${tweets.length} tweets to the database.`);
+    });
+  }
+
+  /**
+   * Makes the watch schedule match a watchlist.
+   * New users are due immediately, users still on the list keep their next run and get
+   * their interval updated, and users no longer on the list are removed.
+   * @param {{username: string, interval: number}[]} entries - Watched handles and their interval in minutes.
+   */
+  async syncWatchSchedule(entries) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const upsertQuery = `
+      INSERT INTO watch_schedule (username, interval_minutes, next_run_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT (username) DO UPDATE SET interval_minutes = excluded.interval_minutes;
+    `;
+
+    await this.serialize(async () => {
+      const stmt = await this.db.prepare(upsertQuery);
+      try {
+        await this.db.exec('BEGIN');
+        const now = Math.floor(Date.now() / 1000);
+        for (const { username, interval } of entries) {
+          await stmt.run(username.toLowerCase(), interval, now);
+        }
+        const usernames = entries.map(({ username }) => username.toLowerCase());
+        await this.db.run(
+          `DELETE FROM watch_schedule WHERE username NOT IN (${usernames.map(() => '?').join(', ')});`,
+          ...usernames
+        );
+        await this.db.exec('COMMIT');
+      } catch (error) {
+        await this.db.exec('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        await stmt.finalize();
+      }
+    });
+  }
+
+  /**
+   * Retrieves the watched users whose next run is due.
+   * @param {number} now - Current time (unix seconds).
+   * @returns {Promise<Array>} - Schedule rows, most overdue first.
+   */
+  async getDueWatchUsers(now) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+    return this.db.all(
+      'SELECT * FROM watch_schedule WHERE next_run_at <= ? ORDER BY next_run_at;',
+      now
+    );
+  }
+
+  /**
+   * Retrieves the whole watch schedule.
+   * @returns {Promise<Array>} - Schedule rows, by next run; none for a database older than the schedule.
+   */
+  async getWatchSchedule() {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+    // A read-only database isn't migrated, so the table may not exist yet
+    const table = await this.db.get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'watch_schedule';"
+    );
+    if (!table) return [];
+    return this.db.all('SELECT * FROM watch_schedule ORDER BY next_run_at;');
+  }
+
+  /**
+   * Records the outcome of a watched user's run and schedules the next one.
+   * @param {string} username - Twitter handle.
+   * @param {object} result - Pipeline result.
+   * @param {number} nextRunAt - Time of the next run (unix seconds).
+   * @param {number} failures - Consecutive failed runs, including this one.
+   */
+  async recordWatchRun(username, result, nextRunAt, failures) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const updateQuery = `
+      UPDATE watch_schedule SET
+        next_run_at = ?,
+        last_run_at = ?,
+        last_status = ?,
+        last_error = ?,
+        last_tweets = ?,
+        last_success_at = CASE WHEN ? THEN ? ELSE last_success_at END,
+        consecutive_failures = ?
+      WHERE username = ?;
+    `;
+
+    const now = Math.floor(Date.now() / 1000);
+    await this.serialize(() =>
+      this.db.run(
+        updateQuery,
+        nextRunAt,
+        now,
+        result.status,
+        result.error,
+        result.tweets,
+        result.status === 'success' ? 1 : 0,
+        now,
+        failures,
+        username.toLowerCase()
+      )
+    );
+  }
+
+  /**
+   * Records a run in the run history, from its manifest.
+   * A resumed run keeps its id, so it replaces its earlier record.
+   * @param {string} username - Handle, or query name, the run belongs to.
+   * @param {object} manifest - Run manifest, see TwitterPipeline.createRunManifest().
+   */
+  async saveRun(username, manifest) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const insertQuery = `
+      INSERT OR REPLACE INTO runs (
+        username, run_id, started_at, finished_at, duration_ms, status, source,
+        incremental, tweets, errors, counts
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+    `;
+
+    const { counts = {} } = manifest;
+    await this.serialize(() =>
+      this.db.run(
+        insertQuery,
+        username.toLowerCase(),
+        manifest.runId,
+        manifest.startedAt,
+        manifest.finishedAt,
+        manifest.durationMs,
+        manifest.status,
+        manifest.source?.type || null,
+        manifest.config?.incremental ? 1 : 0,
+        counts.collected ?? counts.imported ?? 0,
+        manifest.errors?.length || 0,
+        JSON.stringify(counts)
+      )
+    );
+  }
+
+  /**
+   * Records the tweets a run collected with their counts at the time, for diffing runs.
+   * @param {string} username - Handle, or query name, the run belongs to.
+   * @param {string} runId - Run the tweets were collected in.
+   * @param {Array} tweets - List of tweet objects.
+   */
+  async saveRunTweets(username, runId, tweets) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const insertQuery = `
+      INSERT OR REPLACE INTO run_tweets (username, run_id, tweet_id, likes, retweets, replies, views)
+      VALUES (?, ?, ?, ?, ?, ?, ?);
+    `;
+
+    await this.serialize(async () => {
+      const stmt = await this.db.prepare(insertQuery);
+      try {
+        await this.db.exec('BEGIN');
+        for (const tweet of tweets) {
+          await stmt.run(
+            username.toLowerCase(),
+            runId,
+            tweet.id,
+            tweet.likes ?? null,
+            tweet.retweets ?? tweet.retweetCount ?? null,
+            tweet.replies ?? null,
+            tweet.views ?? null
+          );
+        }
+        await this.db.exec('COMMIT');
+      } catch (error) {
+        await this.db.exec('ROLLBACK').catch(() => {});
+        Logger.error(`❌ Error saving run tweets to database: ${error.message}`);
+        throw error;
+      } finally {
+        await stmt.finalize();
+      }
+    });
+  }
+
+  /**
+   * Retrieves the run history of a user, newest first.
+   * @param {string} username - Handle, or query name.
+   * @returns {Promise<Array>} - Run rows.
+   */
+  async getRuns(username) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    return this.db.all(
+      'SELECT * FROM runs WHERE username = ? COLLATE NOCASE ORDER BY CAST(run_id AS INTEGER) DESC;',
+      username
+    );
+  }
+
+  /**
+   * Retrieves the tweets a run collected, with their counts at the time of the run.
+   * @param {string} username - Handle, or query name.
+   * @param {string} runId - Run id.
+   * @returns {Promise<Array>} - Tweet id, counts, and the stored text, URL and timestamp.
+   */
+  async getRunTweets(username, runId) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const selectQuery = `
+      SELECT r.tweet_id AS id, r.likes, r.retweets, r.replies, r.views, t.timestamp, t.text, t.url
+      FROM run_tweets r
+      LEFT JOIN tweets t ON t.id = r.tweet_id
+      WHERE r.username = ? COLLATE NOCASE AND r.run_id = ?;
+    `;
+    return this.db.all(selectQuery, username, runId);
+  }
+
+  /**
+   * Searches the full-text index of stored tweets.
+   * @param {string} query - FTS5 query: words, "phrases", AND/OR/NOT, prefix* and NEAR().
+   * @param {object} [options]
+   * @param {string} [options.username] - Only search this user's tweets.
+   * @param {number} [options.since] - Only tweets posted at or after this time (unix seconds).
+   * @param {number} [options.until] - Only tweets posted before this time (unix seconds).
+   * @param {string} [options.sort] - relevance (bm25), engagement (likes + retweets + replies) or date.
+   * @param {number} [options.limit] - Maximum number of results.
+   * @param {string[]} [options.highlight] - Markers placed around the matched terms of the snippet.
+   * @returns {Promise<Array>} - Matching tweets with a `snippet` of the text around the matches.
+   */
+  async searchTweets(query, { username, since, until, sort = 'relevance', limit = 20, highlight = ['[', ']'] } = {}) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const orderBy = {
+      relevance: 'rank',
+      engagement: 'engagement DESC',
+      date: 't.timestamp DESC',
+    }[sort];
+    if (!orderBy) {
+      throw new Error(`Unknown sort order: ${sort}. Use relevance, engagement or date.`);
+    }
+
+    const conditions = ['tweets_fts MATCH ?'];
+    const params = [highlight[0], highlight[1], query];
+    if (username) {
+      conditions.push('t.username = ? COLLATE NOCASE');
+      params.push(username);
+    }
+    if (since != null) {
+      conditions.push('t.timestamp >= ?');
+      params.push(since);
+    }
+    if (until != null) {
+      conditions.push('t.timestamp < ?');
+      params.push(until);
+    }
+    params.push(limit);
+
+    try {
+      return await this.db.all(
+        `
+        SELECT
+          t.id, t.username, t.timestamp, t.likes, t.retweets, t.replies, t.url,
+          COALESCE(t.likes, 0) + COALESCE(t.retweets, 0) + COALESCE(t.replies, 0) AS engagement,
+          snippet(tweets_fts, 0, ?, ?, '…', 24) AS snippet,
+          bm25(tweets_fts) AS rank
+        FROM tweets_fts
+        JOIN tweets t ON t.id = CAST(tweets_fts.rowid AS TEXT)
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${orderBy}
+        LIMIT ?;
+        `,
+        params
+      );
     } catch (error) {
-      Logger.error(`❌ Error saving tweets to database: ${error.message}`);
-    } finally {
-      await stmt.finalize();
+      if (/fts5/.test(error.message)) {
+        throw new Error(`Invalid search query "${query}": ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the stored tweets in batches, with their entities, without loading them all at once.
+   * Batches are read by rowid, so tweets saved during the iteration may or may not be included.
+   * @param {object} [filters]
+   * @param {string} [filters.username] - Only tweets of this user.
+   * @param {number} [filters.since] - Only tweets posted at or after this time (unix seconds).
+   * @param {number} [filters.until] - Only tweets posted before this time (unix seconds).
+   * @param {string} [filters.query] - Only tweets collected for this search query (`list:<id>` for lists).
+   * @param {string} [filters.match] - Only tweets matching this full-text query.
+   * @param {number} [batchSize] - Tweets per batch.
+   * @yields {Array} - Batch of tweet rows; hashtags, mentions, urls and media are JSON arrays.
+   */
+  async *iterateTweets({ username, since, until, query, match } = {}, batchSize = 5000) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
     }
+
+    const conditions = ['t.rowid > ?'];
+    const params = [];
+    if (username) {
+      conditions.push('t.username = ? COLLATE NOCASE');
+      params.push(username);
+    }
+    if (since != null) {
+      conditions.push('t.timestamp >= ?');
+      params.push(since);
+    }
+    if (until != null) {
+      conditions.push('t.timestamp < ?');
+      params.push(until);
+    }
+    if (query) {
+      conditions.push('t.id IN (SELECT tweet_id FROM query_tweets WHERE query = ?)');
+      params.push(query);
+    }
+    if (match) {
+      conditions.push('t.id IN (SELECT CAST(rowid AS TEXT) FROM tweets_fts WHERE tweets_fts MATCH ?)');
+      params.push(match);
+    }
+
+    const selectQuery = `
+      SELECT
+        t.rowid AS row_id, t.id, t.username, t.user_id, t.name, t.text,
+        COALESCE(t.created_at, strftime('%Y-%m-%dT%H:%M:%fZ', t.timestamp, 'unixepoch')) AS created_at,
+        t.timestamp, t.url, t.conversation_id, t.in_reply_to_id, t.quoted_id, t.retweeted_id,
+        t.is_reply, t.is_retweet, t.is_quote, t.is_pin, t.is_self_thread, t.is_sensitive,
+        t.likes, t.retweets, t.replies, t.views, t.bookmarks,
+        (SELECT json_group_array(hashtag) FROM tweet_hashtags WHERE tweet_id = t.id) AS hashtags,
+        (SELECT json_group_array(username) FROM tweet_mentions WHERE tweet_id = t.id) AS mentions,
+        (SELECT json_group_array(url) FROM tweet_urls WHERE tweet_id = t.id) AS urls,
+        (SELECT json_group_array(url) FROM tweet_media WHERE tweet_id = t.id AND url IS NOT NULL) AS media
+      FROM tweets t
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY t.rowid
+      LIMIT ?;
+    `;
+
+    let lastRowId = 0;
+    for (;;) {
+      const rows = await this.db.all(selectQuery, [lastRowId, ...params, batchSize]);
+      if (rows.length === 0) return;
+      lastRowId = rows[rows.length - 1].row_id;
+      yield rows;
+      if (rows.length < batchSize) return;
+    }
+  }
+
+  /**
+   * Retrieves the chain of stored tweets a tweet replies to, root first, ending with the tweet itself.
+   * @param {string} tweetId - Tweet id.
+   * @returns {Promise<Array>} - Tweets of the thread.
+   */
+  async getThread(tweetId) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const threadQuery = `
+      WITH RECURSIVE ancestors(id, depth) AS (
+        SELECT ?, 0
+        UNION ALL
+        SELECT tt.parent_id, ancestors.depth + 1
+        FROM tweet_threads tt
+        JOIN ancestors ON tt.tweet_id = ancestors.id
+        WHERE tt.parent_id IS NOT NULL AND ancestors.depth < 100
+      )
+      SELECT t.* FROM ancestors
+      JOIN tweets t ON t.id = ancestors.id
+      ORDER BY ancestors.depth DESC;
+    `;
+
+    return this.db.all(threadQuery, tweetId);
+  }
+
+  /**
+   * Retrieves the newest tweet collected by the user's own successful runs.
+   * The user's tweets stored as thread context, inbound tweets or search results of other
+   * runs don't count, nor do failed or interrupted runs: their crawl may not have reached
+   * the tweets before them. Without any such tweet, e.g. in a database from before the run
+   * history, the newest stored tweet of the user that no unsuccessful run collected is used.
+   * @param {string} username - Twitter handle, or query name (`query-<slug>-<hash>`).
+   * @returns {Promise<{id: string, timestamp: number}|null>} - Newest tweet id and timestamp, or null if none are stored.
+   */
+  async getLatestTweet(username) {
+    if (!this.db) {
+      throw new Error('Database is not initialized.');
+    }
+
+    const latestQuery = `
+      SELECT t.id, t.timestamp FROM run_tweets r
+      JOIN runs ON runs.username = r.username AND runs.run_id = r.run_id AND runs.status = 'success'
+      JOIN tweets t ON t.id = r.tweet_id
+      WHERE r.username = ? COLLATE NOCASE
+      ORDER BY t.timestamp DESC, length(t.id) DESC, t.id DESC
+      LIMIT 1;
+    `;
+
+    const fallbackQuery = `
+      SELECT id, timestamp FROM tweets
+      WHERE username = ? COLLATE NOCASE
+        AND id NOT IN (SELECT tweet_id FROM run_tweets WHERE username = ? COLLATE NOCASE)
+      ORDER BY timestamp DESC, length(id) DESC, id DESC
+      LIMIT 1;
+    `;
+
+    const row = (await this.db.get(latestQuery, username)) || (await this.db.get(fallbackQuery, username, username));
+    return row || null;
   }
 
   /**
@@ -128,7 +128,7 @@ class LinkaceManager {
   }
 
   /**
-   * Saves a batch of tweets to Linkace using the bulk operation.
+   * Saves a batch of tweets to Linkace using the bulk operation, throwing if it fails.
    * @param {Array} tweets - List of tweet objects.
    * @param {string} twitterHandle - The Twitter handle of the user whose tweets are being saved.
    */
@@ -188,6 +188,7 @@ class LinkaceManager {
 
     let successfulSaves = 0;
     let failedSaves = 0;
+    let failureReason = null;
 
     try {
       const response = await this.apiClient.post('/api/v2/bulk/links', bulkPayload);
@@ -197,7 +198,8 @@ class LinkaceManager {
       } else {
         // Unexpected status code
         failedSaves = linksToCreate.length;
-        Logger.warn(`Bulk save for @${twitterHandle} failed with unexpected status: ${response.status}. Response: ${JSON.stringify(response.data)}`);
+        failureReason = `Bulk save for @${twitterHandle} failed with unexpected status: ${response.status}. Response: ${JSON.stringify(response.data)}`;
+        Logger.warn(failureReason);
       }
     } catch (error) {
       failedSaves = linksToCreate.length; // Assume all failed if the request itself errors out
@@ -209,6 +211,7 @@ class LinkaceManager {
       } else {
         errorMessage += error.message;
       }
+      failureReason = errorMessage;
       Logger.error(errorMessage);
     }
 
@@ -218,12 +221,12 @@ class LinkaceManager {
     Logger.info(`  Skipped (missing data): ${skippedForMissingData}`);
     Logger.info(`  Skipped (already existed): ${skippedAsExisting}`);
 
-    if (failedSaves > 0) {
-        Logger.warn(`${failedSaves} tweets could not be saved to Linkace during bulk operation. Check logs for details.`);
-    }
     if (successfulSaves > 0) {
         Logger.success(`✅ Successfully bulk saved ${successfulSaves} new tweets to Linkace.`);
     }
+    if (failedSaves > 0) {
+        throw new Error(`${failedSaves} tweets could not be saved to Linkace. ${failureReason}`);
+    }
   }
 
   /**
@@ -2,6 +2,7 @@ import chalk from 'chalk';
 import ora from 'ora';
 import Table from 'cli-table3';
 import { format } from 'date-fns';
+import { AsyncLocalStorage } from 'async_hooks';
 
 class Logger {
   static spinner = null;
@@ -20,8 +21,16 @@ class Logger {
     lastResetTime: null
   };
   
-  // Determine if debug logs should be shown based on an environment variable
-  static isDebugEnabled = process.env.DEBUG === 'true';
+  // Determine the log level (and whether debug logs should be shown) based on environment variables
+  static levels = ['debug', 'info', 'warn', 'error'];
+  static level = process.env.LOG_LEVEL || (process.env.DEBUG === 'true' ? 'debug' : 'info');
+  static isDebugEnabled = this.level === 'debug';
+
+  // Tracks which user the current async call chain is working on
+  static userContext = new AsyncLocalStorage();
+  // Per-user rows of the combined progress display, null when not scraping in parallel
+  static dashboard = null;
+  static lastDashboardUpdate = 0;
 
   static startSpinner(text) {
     this.spinner = ora(text).start();
@@ -34,29 +43,145 @@ class Logger {
     }
   }
 
+  /**
+   * Sets the minimum level of messages that are printed.
+   * @param {string} level - One of debug, info, warn, error.
+   */
+  static setLevel(level) {
+    if (!this.levels.includes(level)) {
+      throw new Error(`Unknown log level "${level}". Use one of: ${this.levels.join(', ')}.`);
+    }
+    this.level = level;
+    this.isDebugEnabled = level === 'debug';
+  }
+
+  static isLevelEnabled(level) {
+    return this.levels.indexOf(level) >= this.levels.indexOf(this.level);
+  }
+
   static info(msg) {
+    if (!this.isLevelEnabled('info')) return;
+    if (this.logToDashboard('info', msg)) return;
     console.log(chalk.blue(`ℹ️  ${msg}`));
   }
 
   static success(msg) {
+    if (!this.isLevelEnabled('info')) return;
+    if (this.logToDashboard('success', msg)) return;
     console.log(chalk.green(`✅ ${msg}`));
   }
 
   static warn(msg) {
+    if (!this.isLevelEnabled('warn')) return;
+    if (this.logToDashboard('warn', msg)) return;
     console.log(chalk.yellow(`⚠️  ${msg}`));
   }
 
   static error(msg) {
+    if (this.logToDashboard('error', msg)) return;
     console.log(chalk.red(`❌ ${msg}`));
   }
 
   // Add the debug method
   static debug(msg) {
     if (this.isDebugEnabled) {
+      if (this.logToDashboard('debug', msg)) return;
       console.log(chalk.gray(`🔍 Debug: ${msg}`));
     }
   }
 
+  /**
+   * Runs a function with all log output attributed to a user.
+   * @param {string} username - Twitter handle being processed.
+   * @param {Function} fn - Function to run.
+   * @returns {*} - Result of fn.
+   */
+  static withUser(username, fn) {
+    return this.userContext.run(username, fn);
+  }
+
+  /**
+   * Switches to a combined progress display with one row per user, replacing
+   * interleaved log lines while several users are scraped in parallel.
+   * @param {string[]} usernames - Users being scraped.
+   */
+  static startDashboard(usernames) {
+    this.dashboard = new Map(
+      usernames.map((username) => [username, {
+        status: 'queued',
+        collected: 0,
+        rateLimits: 0,
+        warnings: 0,
+        errors: 0,
+        lastMessage: '',
+      }])
+    );
+    this.renderDashboard();
+  }
+
+  static stopDashboard() {
+    if (this.dashboard) {
+      this.renderDashboard();
+      this.dashboard = null;
+    }
+  }
+
+  /**
+   * Updates the current user's row of the combined progress display.
+   * @param {object} fields - Row fields to update.
+   * @param {string} [username] - User to update, defaults to the current user context.
+   */
+  static updateUser(fields, username = this.userContext.getStore()) {
+    const row = this.dashboard?.get(username);
+    if (!row) return;
+    Object.assign(row, fields);
+    this.renderDashboard(fields.status !== undefined);
+  }
+
+  static logToDashboard(level, msg) {
+    const row = this.dashboard?.get(this.userContext.getStore());
+    if (!row) return false;
+    if (level === 'warn') row.warnings++;
+    if (level === 'error') row.errors++;
+    row.lastMessage = msg;
+    this.renderDashboard();
+    return true;
+  }
+
+  static renderDashboard(force = false) {
+    const now = Date.now();
+    // Only update display every second to avoid spam
+    if (!this.dashboard || (!force && now - this.lastDashboardUpdate < 1000)) return;
+    this.lastDashboardUpdate = now;
+
+    const statusColors = {
+      queued: chalk.gray,
+      running: chalk.cyan,
+      success: chalk.green,
+      interrupted: chalk.yellow,
+      failed: chalk.red,
+    };
+
+    console.clear();
+    console.log(chalk.bold.blue('\n🐦 Twitter Collection Status\n'));
+    const table = new Table({
+      head: ['User', 'Status', 'Collected', 'Rate Limits', 'Warnings', 'Errors', 'Last Activity'].map((h) => chalk.white(h)),
+      colWidths: [20, 13, 11, 13, 10, 8, 60],
+    });
+    for (const [username, row] of this.dashboard) {
+      table.push([
+        `@${username}`,
+        (statusColors[row.status] || chalk.white)(row.status),
+        chalk.green(row.collected.toLocaleString()),
+        row.rateLimits ? chalk.red(row.rateLimits) : 0,
+        row.warnings ? chalk.yellow(row.warnings) : 0,
+        row.errors ? chalk.red(row.errors) : 0,
+        chalk.dim(row.lastMessage.replace(/\s+/g, ' ').slice(0, 56)),
+      ]);
+    }
+    console.log(table.toString());
+  }
+
   static updateCollectionProgress({
     totalCollected,
     newInBatch = 0,
@@ -66,6 +191,11 @@ class Logger {
     currentDelay = 0,
     isReset = false
   }) {
+    if (this.dashboard) {
+      this.updateUser({ collected: totalCollected });
+      return;
+    }
+
     const now = Date.now();
     
     // Update stats
@@ -148,11 +278,15 @@ class Logger {
   }
 
   static recordRateLimit() {
+    const row = this.dashboard?.get(this.userContext.getStore());
+    if (row) row.rateLimits++;
     this.collectionStats.rateLimitHits++;
     this.collectionStats.lastResetTime = Date.now();
   }
 
   static stats(title, data) {
+    // Per-user tables would interleave with the combined progress display
+    if (this.dashboard?.has(this.userContext.getStore())) return;
     console.log(chalk.cyan(`\n📊 ${title}:`));
     const table = new Table({
       head: [chalk.white('Parameter'), chalk.white('Value')],
@@ -164,6 +298,15 @@ class Logger {
     console.log(table.toString());
   }
 
+  static table(title, head, rows) {
+    console.log(chalk.cyan(`\n📊 ${title}:`));
+    const table = new Table({
+      head: head.map((h) => chalk.white(h)),
+    });
+    rows.forEach((row) => table.push(row));
+    console.log(table.toString());
+  }
+
   static reset() {
     this.collectionStats = {
       oldestTweet: null,
@@ -0,0 +1,171 @@
+// src/twitter/MediaArchiver.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import Logger from './Logger.js';
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+};
+
+class MediaArchiver {
+  /**
+   * @param {string} mediaDir - Directory the media files are written to.
+   * @param {object} [options]
+   * @param {number} [options.maxFileSize] - Largest file downloaded, in bytes.
+   * @param {number} [options.maxTotalSize] - Total bytes downloaded before archiving stops.
+   */
+  constructor(mediaDir, { maxFileSize = 50 * 1024 * 1024, maxTotalSize = 1024 * 1024 * 1024 } = {}) {
+    this.mediaDir = mediaDir;
+    this.maxFileSize = maxFileSize;
+    this.maxTotalSize = maxTotalSize;
+    this.totalSize = 0;
+    this.downloadedUrls = new Map(); // url -> archived file entry
+    this.stats = {
+      downloaded: 0,
+      duplicates: 0,
+      skipped: 0,
+      failed: 0,
+      bytes: 0,
+    };
+  }
+
+  /**
+   * Lists the media of a tweet: photos, videos and video preview images.
+   * Videos from archives list their mp4 variants, which are tried from the best bitrate
+   * down; the scraper only provides the best one as the video's url.
+   * @param {object} tweet - Tweet object.
+   * @returns {object[]} media - Array of {type, url, smallerUrls}.
+   */
+  static getTweetMedia(tweet) {
+    return [
+      ...(tweet.photos || []).map((photo) => ({ type: 'photo', url: photo.url })),
+      ...(tweet.videos || []).flatMap((video) => {
+        const [url = video.url, ...smallerUrls] = (video.variants || []).map((variant) => variant.url);
+        return [
+          url && { type: 'video', url, smallerUrls },
+          video.preview && { type: 'video_preview', url: video.preview },
+        ];
+      }),
+    ].filter((media) => media?.url);
+  }
+
+  /**
+   * Downloads the media of every tweet.
+   * @param {object[]} tweets - Array of tweet objects.
+   * @returns {Promise<object>} manifest - Map of tweet id to the tweet's archived media entries.
+   */
+  async archiveTweets(tweets) {
+    await fs.mkdir(this.mediaDir, { recursive: true });
+    const manifest = {};
+
+    for (const tweet of tweets) {
+      const media = MediaArchiver.getTweetMedia(tweet);
+      if (media.length === 0) continue;
+
+      manifest[tweet.id] = [];
+      for (const { smallerUrls, ...item } of media) {
+        manifest[tweet.id].push({ ...item, ...(await this.archive(item.url, smallerUrls)) });
+      }
+    }
+
+    Logger.success(
+      `✅ Archived media: ${this.stats.downloaded} downloaded, ${this.stats.duplicates} duplicates, ` +
+      `${this.stats.skipped} skipped, ${this.stats.failed} failed (${(this.stats.bytes / 1024 / 1024).toFixed(1)} MB).`
+    );
+    return manifest;
+  }
+
+  /**
+   * Downloads a media file, or the first of its smaller variants within the size limits.
+   * @param {string} url - Media URL.
+   * @param {string[]} [smallerUrls] - Lower quality variants, tried in order when the file is too large.
+   * @returns {Promise<object>} entry - File name, hash and size (and the variant's url when
+   *   one was used), or the reason it was not archived.
+   */
+  async archive(url, smallerUrls = []) {
+    if (this.downloadedUrls.has(url)) {
+      return this.downloadedUrls.get(url);
+    }
+
+    let { tooLarge, ...entry } = await this.download(url);
+    for (const smallerUrl of smallerUrls) {
+      if (!tooLarge) {
+        break;
+      }
+      ({ tooLarge, ...entry } = await this.download(smallerUrl));
+      if (!tooLarge) {
+        entry.url = smallerUrl;
+      }
+    }
+    if (tooLarge) {
+      this.stats.skipped++;
+    }
+
+    this.downloadedUrls.set(url, entry);
+    return entry;
+  }
+
+  /**
+   * Downloads a single media file, storing it under its content hash.
+   * The download is cut off as soon as it goes past the file size limit or the rest of the
+   * total size limit, so nothing is written for files that don't fit.
+   * @param {string} url - Media URL.
+   * @returns {Promise<object>} entry - File name, hash and size, or the error and whether the file was too large.
+   */
+  async download(url) {
+    const remaining = this.maxTotalSize - this.totalSize;
+    if (remaining <= 0) {
+      return { error: 'Total media size limit reached', tooLarge: true };
+    }
+    const limit = Math.min(this.maxFileSize, remaining);
+
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        maxContentLength: limit,
+        timeout: 60000,
+      });
+      const data = Buffer.from(response.data);
+      const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+      const contentType = (response.headers['content-type'] || '').split(';')[0];
+      const extension =
+        CONTENT_TYPE_EXTENSIONS[contentType] || path.extname(new URL(url).pathname) || '';
+      const file = `${sha256}${extension}`;
+      const filePath = path.join(this.mediaDir, file);
+
+      try {
+        await fs.access(filePath);
+        this.stats.duplicates++;
+        Logger.debug(`Media ${url} is a duplicate of ${file}`);
+      } catch {
+        await fs.writeFile(filePath, data);
+        this.totalSize += data.length;
+        this.stats.downloaded++;
+        this.stats.bytes += data.length;
+        Logger.debug(`✅ Saved media ${url} to ${filePath}`);
+      }
+
+      return { file, sha256, size: data.length, contentType };
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        return {
+          error: limit < this.maxFileSize
+            ? `File larger than the ${remaining} bytes left of the total media size limit`
+            : `File larger than ${this.maxFileSize} bytes`,
+          tooLarge: true,
+        };
+      }
+      this.stats.failed++;
+      Logger.warn(`⚠️  Failed to download media ${url}: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+}
+
+export default MediaArchiver;
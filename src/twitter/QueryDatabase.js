@@ -1,51 +1,338 @@
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
+import { fileURLToPath } from 'url';
 import Logger from './Logger.js';
+import MIGRATIONS from './migrations.js';
+import { toCsvField } from './utils.js';
 
-async function runQuery(query, params = []) {
-  const databasePath = 'tweets.db'; // Path to the SQLite database
+export const OUTPUT_FORMATS = ['table', 'json', 'csv'];
 
+/**
+ * Saved queries, run with `query <name> [param=value ...]`.
+ * Parameters are bound as `$name`; the ones not given are null unless they have a default.
+ * `schemaVersion` is the database schema version (see migrations.js) that added the tables or
+ * columns the query needs.
+ */
+export const NAMED_QUERIES = {
+  'top-tweets': {
+    description: 'Most engaging original tweets, by likes + retweets + replies',
+    params: { user: null, limit: 20 },
+    schemaVersion: 2,
+    sql: `
+      SELECT username, datetime(timestamp, 'unixepoch') AS posted, likes, retweets, replies,
+        COALESCE(likes, 0) + COALESCE(retweets, 0) + COALESCE(replies, 0) AS engagement, text, url
+      FROM tweets
+      WHERE ($user IS NULL OR username = $user COLLATE NOCASE) AND COALESCE(is_retweet, 0) = 0
+      ORDER BY engagement DESC
+      LIMIT $limit
+    `,
+  },
+  'activity-by-month': {
+    description: 'Tweets and average engagement per month',
+    params: { user: null },
+    schemaVersion: 2,
+    sql: `
+      SELECT strftime('%Y-%m', timestamp, 'unixepoch') AS month, COUNT(*) AS tweets,
+        SUM(is_reply) AS replies, SUM(is_retweet) AS retweets,
+        ROUND(AVG(likes), 1) AS avg_likes, ROUND(AVG(retweets), 1) AS avg_retweets
+      FROM tweets
+      WHERE $user IS NULL OR username = $user COLLATE NOCASE
+      GROUP BY month
+      ORDER BY month
+    `,
+  },
+  'top-mentions': {
+    description: 'Most mentioned accounts',
+    params: { user: null, limit: 20 },
+    schemaVersion: 2,
+    sql: `
+      SELECT m.username, COUNT(*) AS mentions, COUNT(DISTINCT t.username) AS mentioned_by
+      FROM tweet_mentions m
+      JOIN tweets t ON t.id = m.tweet_id
+      WHERE $user IS NULL OR t.username = $user COLLATE NOCASE
+      GROUP BY m.username COLLATE NOCASE
+      ORDER BY mentions DESC
+      LIMIT $limit
+    `,
+  },
+  'top-hashtags': {
+    description: 'Most used hashtags',
+    params: { user: null, limit: 20 },
+    schemaVersion: 2,
+    sql: `
+      SELECT h.hashtag, COUNT(*) AS uses, COUNT(DISTINCT t.username) AS users
+      FROM tweet_hashtags h
+      JOIN tweets t ON t.id = h.tweet_id
+      WHERE $user IS NULL OR t.username = $user COLLATE NOCASE
+      GROUP BY h.hashtag COLLATE NOCASE
+      ORDER BY uses DESC
+      LIMIT $limit
+    `,
+  },
+  users: {
+    description: 'Stored tweets per user with their first and last tweet',
+    params: {},
+    sql: `
+      SELECT username, COUNT(*) AS tweets, SUM(likes) AS likes,
+        date(MIN(timestamp), 'unixepoch') AS first_tweet, date(MAX(timestamp), 'unixepoch') AS last_tweet
+      FROM tweets
+      GROUP BY username COLLATE NOCASE
+      ORDER BY tweets DESC
+    `,
+  },
+  'follower-growth': {
+    description: 'Follower and following counts of a user over their runs',
+    params: { user: null },
+    schemaVersion: 1,
+    sql: `
+      SELECT username, run_id, fetched_at, followers_count, following_count, tweets_count
+      FROM profiles
+      WHERE $user IS NULL OR username = $user COLLATE NOCASE
+      ORDER BY username, fetched_at
+    `,
+  },
+  runs: {
+    description: 'Recorded runs, newest first',
+    params: { user: null, limit: 20 },
+    schemaVersion: 5,
+    sql: `
+      SELECT username, run_id, started_at, duration_ms, status, source, incremental, tweets, errors
+      FROM runs
+      WHERE $user IS NULL OR username = $user COLLATE NOCASE
+      ORDER BY CAST(run_id AS INTEGER) DESC
+      LIMIT $limit
+    `,
+  },
+  'engagement-history': {
+    description: 'Engagement snapshots of a tweet over time',
+    params: { tweet: null },
+    schemaVersion: 3,
+    sql: `
+      SELECT datetime(observed_at, 'unixepoch') AS observed, likes, retweets, replies, views
+      FROM tweet_metrics
+      WHERE tweet_id = $tweet
+      ORDER BY observed_at
+    `,
+  },
+};
+
+/**
+ * Rejects statements that could modify the database, before SQLite refuses the write
+ * on the read-only connection.
+ * @param {string} query - SQL query.
+ */
+export function assertReadOnly(query) {
+  // Blank out comments and literals so their content can't be mistaken for code
+  const statements = query
+    .replace(/--.*$/gm, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"/g, "''")
+    .split(';')
+    .map((statement) => statement.trim())
+    .filter(Boolean);
+
+  if (statements.length > 1) {
+    throw new Error('Only a single statement can be run at a time.');
+  }
+  const [statement = ''] = statements;
+  if (!/^(SELECT|WITH|VALUES|EXPLAIN)\b/i.test(statement) && !/^PRAGMA\s+[\w.]+(\s*\([^)]*\))?$/i.test(statement)) {
+    throw new Error('Only read-only statements (SELECT, WITH, VALUES, EXPLAIN, PRAGMA lookups) can be run.');
+  }
+}
+
+/**
+ * Resolves a named query and its parameters, or passes raw SQL through.
+ * @param {string} query - Name of a saved query, or SQL.
+ * @param {object} [params] - Parameters of a saved query.
+ * @returns {{sql: string, params: object|Array}}
+ */
+export function resolveQuery(query, params = {}) {
+  const named = NAMED_QUERIES[query];
+  if (!named) {
+    return { sql: query, params: [] };
+  }
+
+  const unknown = Object.keys(params).filter((name) => !(name in named.params));
+  if (unknown.length > 0) {
+    const accepted = Object.keys(named.params);
+    throw new Error(
+      `Unknown parameter ${unknown.join(', ')} for ${query}. ` +
+      (accepted.length > 0 ? `Accepted: ${accepted.join(', ')}.` : 'It takes no parameters.')
+    );
+  }
+  return {
+    sql: named.sql,
+    params: Object.fromEntries(
+      Object.entries({ ...named.params, ...params }).map(([name, value]) => [`$${name}`, value])
+    ),
+  };
+}
+
+/**
+ * Formats query results for other programs.
+ * @param {Array} results - Result rows.
+ * @param {string} format - json or csv.
+ * @returns {string}
+ */
+export function formatResults(results, format) {
+  if (format === 'json') {
+    return JSON.stringify(results, null, 2);
+  }
+
+  const columns = Object.keys(results[0] || {});
+  return [
+    columns.join(','),
+    ...results.map((row) => columns.map((column) => toCsvField(row[column])).join(',')),
+  ].join('\n');
+}
+
+/**
+ * Lists the saved queries with their parameters.
+ */
+export function printNamedQueries() {
+  Logger.table(
+    'Saved Queries',
+    ['Name', 'Parameters', 'Description'],
+    Object.entries(NAMED_QUERIES).map(([name, { params, description }]) => [
+      name,
+      Object.entries(params).map(([param, value]) => (value == null ? param : `${param}=${value}`)).join(' '),
+      description,
+    ])
+  );
+}
+
+/**
+ * Runs a query against the tweets database, opened read-only, and prints the results.
+ * @param {string} query - Name of a saved query, or SQL.
+ * @param {object} [params] - Parameters of a saved query.
+ * @param {object} [options]
+ * @param {string} [options.databasePath] - Path to the SQLite database.
+ * @param {string} [options.format] - Output format: table, json or csv.
+ */
+export async function runQuery(query, params = {}, { databasePath = 'tweets.db', format = 'table' } = {}) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    Logger.error(`Unknown output format: ${format}. Use ${OUTPUT_FORMATS.join(', ')}.`);
+    process.exit(1);
+  }
+  if (format !== 'table') {
+    // Keep stdout parseable
+    Logger.setLevel('error');
+  }
+
+  let db;
   try {
-    // Open the database
-    const db = await open({
+    const resolved = resolveQuery(query, params);
+    assertReadOnly(resolved.sql);
+
+    db = await open({
       filename: databasePath,
       driver: sqlite3.Database,
+      mode: sqlite3.OPEN_READONLY,
     });
-
     Logger.info('Connected to the database.');
 
-    // Execute the query
-    Logger.info(`Running query: ${query}`);
-    const results = await db.all(query, params);
+    // Upgrading the schema would write, so an old database is reported instead
+    const { user_version: version } = await db.get('PRAGMA user_version');
+    const required = NAMED_QUERIES[query]?.schemaVersion;
+    if (required && version < required) {
+      throw new Error(
+        `${query} needs database schema version ${required}, but ${databasePath} is at version ${version}. ` +
+        'Run a scrape or import once to upgrade it.'
+      );
+    }
+
+    Logger.info(`Running query: ${NAMED_QUERIES[query] ? query : resolved.sql}`);
+    let results;
+    try {
+      results = await db.all(resolved.sql, resolved.params);
+    } catch (error) {
+      const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+      if (/no such (table|column)/.test(error.message) && version < latest) {
+        error.message += ` (the database schema is at version ${version} of ${latest}, run a scrape or import once to upgrade it)`;
+      }
+      throw error;
+    }
 
-    if (results.length === 0) {
+    if (format !== 'table') {
+      console.log(formatResults(results, format));
+    } else if (results.length === 0) {
       Logger.warn('No results found.');
     } else {
-      Logger.info('Query Results:');
-      console.table(results);
+      // Long text would stretch the table past the terminal width
+      const truncate = (value) => {
+        const text = String(value ?? '').replace(/\s+/g, ' ');
+        return text.length > 60 ? `${text.slice(0, 59)}…` : text;
+      };
+      const columns = Object.keys(results[0]);
+      Logger.table(
+        `Query Results (${results.length} rows)`,
+        columns,
+        results.map((row) => columns.map((column) => truncate(row[column])))
+      );
     }
-
-    // Close the database connection
-    await db.close();
-    Logger.info('Database connection closed.');
   } catch (error) {
     Logger.error(`Failed to query the database: ${error.message}`);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    if (db) {
+      await db.close();
+      Logger.info('Database connection closed.');
+    }
   }
 }
 
+/**
+ * Splits `param=value` arguments from the query.
+ * @param {string[]} args - Query (name or SQL words) followed by optional parameters.
+ * @returns {{query: string, params: object}}
+ */
+export function parseQueryArgs(args) {
+  const [first, ...rest] = args;
+  if (!NAMED_QUERIES[first]) {
+    return { query: args.join(' '), params: {} }; // SQL may span several arguments
+  }
+
+  const params = {};
+  for (const arg of rest) {
+    const separator = arg.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Expected param=value, got "${arg}".`);
+    }
+    const name = arg.slice(0, separator);
+    const value = arg.slice(separator + 1).replace(/^@/, '');
+    // Only numeric parameters are converted: tweet ids don't fit in a double
+    if (typeof NAMED_QUERIES[first].params[name] === 'number') {
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`${name} must be a whole number, got "${value}".`);
+      }
+      params[name] = Number(value);
+    } else {
+      params[name] = value;
+    }
+  }
+  return { query: first, params };
+}
+
 // Main entry point
 async function main() {
   const args = process.argv.slice(2);
 
   if (args.length === 0) {
-    Logger.error('Please provide a query as an argument.');
-    Logger.info('Example: node queryDatabase.js "SELECT * FROM tweets LIMIT 5;"');
+    Logger.info('Usage: node QueryDatabase.js "<sql>" | <saved-query> [param=value ...]');
+    printNamedQueries();
     process.exit(1);
   }
 
-  const query = args.join(' '); // Combine all arguments into a single query
-  await runQuery(query);
+  try {
+    const { query, params } = parseQueryArgs(args);
+    await runQuery(query, params);
+  } catch (error) {
+    Logger.error(error.message);
+    process.exit(1);
+  }
 }
 
-main();
+// Only run as a script when executed directly, not when imported by the CLI
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
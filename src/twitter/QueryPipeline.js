@@ -0,0 +1,75 @@
+// src/twitter/QueryPipeline.js
+import crypto from 'crypto';
+import { SearchMode } from 'agent-twitter-client';
+import TwitterPipeline from './TwitterPipeline.js';
+import Logger from './Logger.js';
+
+/**
+ * Pipeline collecting the tweets matching a search expression, or the tweets of a
+ * Twitter list, instead of the tweets of a single user.
+ *
+ * Runs are stored under `<outputDir>/query-<slug>-<hash>/` with the same layout as user runs,
+ * and the collected tweets are tagged in the database with the originating query.
+ */
+class QueryPipeline extends TwitterPipeline {
+  /**
+   * @param {string|null} query - Search expression, e.g. `#nft lang:en`. Ignored when a list id is given.
+   * @param {TweetSource} source - Source of tweets, e.g. a ScraperPool.
+   * @param {object} [options] - TwitterPipeline options.
+   * @param {string} [options.listId] - Twitter list to collect instead of a search.
+   */
+  constructor(query, source, options = {}) {
+    const name = options.listId ? `list:${options.listId}` : query;
+    super(QueryPipeline.getName(name), source, {
+      ...options,
+      // Stages that need a single user don't apply to queries
+      inbound: false,
+      graph: false,
+    });
+    this.query = name;
+    this.listId = options.listId || null;
+  }
+
+  /**
+   * Returns the directory name of a query's runs.
+   * The slug only keeps letters and digits, so a hash of the exact query tells apart
+   * queries like `#bitcoin` and `$bitcoin`, or queries without any ASCII letters.
+   * @param {string} query - Search expression, or `list:<id>` for lists.
+   * @returns {string} name - `query-<slug>-<hash>`.
+   */
+  static getName(query) {
+    const slug = query
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60)
+      .replace(/-+$/, '');
+    const hash = crypto.createHash('sha1').update(query).digest('hex').slice(0, 8);
+    return `query-${slug ? `${slug}-` : ''}${hash}`;
+  }
+
+  async fetchProfile() {
+    Logger.info(`Collecting tweets for ${this.listId ? `list ${this.listId}` : `query "${this.query}"`}...`);
+  }
+
+  fetchTweetPage(count, cursor) {
+    if (this.listId) {
+      return this.source.getListTweets(this.listId, count, cursor);
+    }
+    return this.source.searchTweets(this.query, count, SearchMode.Latest, cursor);
+  }
+
+  createRunManifest(result, startTime) {
+    return { ...super.createRunManifest(result, startTime), query: this.query, listId: this.listId };
+  }
+
+  async processAndSaveTweets(tweets, contextTweets = []) {
+    await super.processAndSaveTweets(tweets, contextTweets);
+
+    if (tweets.length > 0) {
+      await this.saveToSinks('saveQueryTweets', this.query, tweets);
+    }
+  }
+}
+
+export default QueryPipeline;
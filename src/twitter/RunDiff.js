@@ -0,0 +1,279 @@
+// src/twitter/RunDiff.js
+import fs from 'fs/promises';
+import path from 'path';
+import { format } from 'date-fns';
+import Logger from './Logger.js';
+import DatabaseManager from './DatabaseManager.js';
+
+const METRICS = ['likes', 'retweets', 'replies', 'views'];
+
+/**
+ * Compares two runs of a user from the run history in the database: the tweets the later
+ * run found that the earlier one didn't, the tweets that disappeared since (likely deleted)
+ * and how the engagement of the tweets both runs collected changed.
+ *
+ * A run only covers the period between its oldest and newest tweet, e.g. an incremental
+ * run stops at the newest stored tweet. A tweet of the earlier run counts as disappeared
+ * only when the later run covered its date, and older tweets the later run backfilled
+ * don't count as new.
+ *
+ * The report is written as `diff-<from-run>.json` and `.md` to the analytics directory
+ * of the later run.
+ */
+class RunDiff {
+  /**
+   * @param {string} username - Handle, or query name, whose runs are compared.
+   * @param {object} [options]
+   * @param {string} [options.outputDir] - Pipeline base directory.
+   */
+  constructor(username, { outputDir = 'pipeline' } = {}) {
+    this.username = username;
+    this.outputDir = outputDir;
+    this.databaseManager = DatabaseManager.getInstance(); // Singleton instance
+  }
+
+  /**
+   * Finds the runs to compare. Without ids, the two latest successful runs are compared;
+   * with only the later run, it is compared to the successful run before it.
+   * @param {string} [fromRunId] - Earlier run.
+   * @param {string} [toRunId] - Later run.
+   * @returns {Promise<{from: object, to: object}>} - Rows of the runs table.
+   */
+  async resolveRuns(fromRunId, toRunId) {
+    const runs = await this.databaseManager.getRuns(this.username);
+    if (runs.length === 0) {
+      throw new Error(`No runs recorded for @${this.username}.`);
+    }
+
+    const findRun = (runId) => {
+      const run = runs.find((candidate) => candidate.run_id === runId);
+      if (!run) {
+        throw new Error(`No run ${runId} recorded for @${this.username}. Recorded runs: ${runs.map((r) => r.run_id).join(', ')}.`);
+      }
+      return run;
+    };
+    const successful = runs.filter((run) => run.status === 'success');
+
+    const to = toRunId ? findRun(toRunId) : successful[0];
+    const from = fromRunId
+      ? findRun(fromRunId)
+      : successful.find((run) => Number(run.run_id) < Number(to?.run_id));
+    if (!to || !from) {
+      throw new Error(`@${this.username} needs two successful runs to compare, or give the run ids.`);
+    }
+    if (Number(from.run_id) >= Number(to.run_id)) {
+      throw new Error(`Run ${from.run_id} is not older than run ${to.run_id}.`);
+    }
+    return { from, to };
+  }
+
+  /**
+   * Compares the tweets collected by two runs.
+   * @param {object[]} fromTweets - Tweets of the earlier run, from DatabaseManager.getRunTweets().
+   * @param {object[]} toTweets - Tweets of the later run.
+   * @returns {object} - New, disappeared and changed tweets, and counts of the tweets left out.
+   */
+  static compare(fromTweets, toTweets) {
+    const coverage = (tweets) =>
+      tweets.reduce((range, { timestamp }) => {
+        if (timestamp == null) return range;
+        return {
+          oldest: Math.min(range?.oldest ?? timestamp, timestamp),
+          newest: Math.max(range?.newest ?? timestamp, timestamp),
+        };
+      }, null);
+    const fromCoverage = coverage(fromTweets);
+    const toCoverage = coverage(toTweets);
+    const fromById = new Map(fromTweets.map((tweet) => [tweet.id, tweet]));
+    const toById = new Map(toTweets.map((tweet) => [tweet.id, tweet]));
+
+    const newTweets = [];
+    let backfilled = 0;
+    for (const tweet of toTweets) {
+      if (fromById.has(tweet.id)) continue;
+      if (fromCoverage && tweet.timestamp != null && tweet.timestamp < fromCoverage.oldest) {
+        backfilled++;
+      } else {
+        newTweets.push(tweet);
+      }
+    }
+
+    const disappearedTweets = [];
+    let uncovered = 0;
+    for (const tweet of fromTweets) {
+      if (toById.has(tweet.id)) continue;
+      if (
+        toCoverage &&
+        tweet.timestamp != null &&
+        tweet.timestamp >= toCoverage.oldest &&
+        tweet.timestamp <= toCoverage.newest
+      ) {
+        disappearedTweets.push(tweet);
+      } else {
+        uncovered++;
+      }
+    }
+
+    const changedTweets = [];
+    const totals = Object.fromEntries(METRICS.map((metric) => [metric, 0]));
+    for (const before of fromTweets) {
+      const after = toById.get(before.id);
+      if (!after) continue;
+      const delta = {};
+      for (const metric of METRICS) {
+        // Counts are unknown when the source didn't provide them, e.g. replies in archives
+        delta[metric] = before[metric] == null || after[metric] == null ? null : after[metric] - before[metric];
+        totals[metric] += delta[metric] || 0;
+      }
+      if (METRICS.some((metric) => delta[metric])) {
+        changedTweets.push({ ...after, delta });
+      }
+    }
+    changedTweets.sort((a, b) =>
+      b.delta.likes - a.delta.likes || b.delta.retweets - a.delta.retweets || b.delta.replies - a.delta.replies
+    );
+
+    const byDate = (a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0);
+    return {
+      newTweets: newTweets.sort(byDate),
+      disappearedTweets: disappearedTweets.sort(byDate),
+      changedTweets,
+      totals,
+      common: fromTweets.length - disappearedTweets.length - uncovered,
+      backfilled,
+      uncovered,
+    };
+  }
+
+  /**
+   * Compares two runs and saves the report in the later run's analytics directory.
+   * @param {string} [fromRunId] - Earlier run, see resolveRuns().
+   * @param {string} [toRunId] - Later run.
+   * @returns {Promise<object>} - The report, as saved to JSON.
+   */
+  async diff(fromRunId, toRunId) {
+    const { from, to } = await this.resolveRuns(fromRunId, toRunId);
+    Logger.info(`Comparing runs ${from.run_id} and ${to.run_id} of @${this.username}...`);
+
+    const comparison = RunDiff.compare(
+      await this.databaseManager.getRunTweets(this.username, from.run_id),
+      await this.databaseManager.getRunTweets(this.username, to.run_id)
+    );
+    const describeRun = (run) => ({
+      runId: run.run_id,
+      startedAt: run.started_at,
+      status: run.status,
+      incremental: Boolean(run.incremental),
+      tweets: run.tweets,
+    });
+    const describeTweet = ({ id, timestamp, text, url, likes, retweets, replies, views, delta }) => ({
+      id,
+      createdAt: timestamp != null ? new Date(timestamp * 1000).toISOString() : null,
+      text,
+      url,
+      likes,
+      retweets,
+      replies,
+      views,
+      ...(delta && { delta }),
+    });
+
+    const report = {
+      username: this.username,
+      generatedAt: new Date().toISOString(),
+      from: describeRun(from),
+      to: describeRun(to),
+      summary: {
+        newTweets: comparison.newTweets.length,
+        disappearedTweets: comparison.disappearedTweets.length,
+        commonTweets: comparison.common,
+        changedTweets: comparison.changedTweets.length,
+        backfilledTweets: comparison.backfilled,
+        uncoveredTweets: comparison.uncovered,
+        engagementDelta: comparison.totals,
+      },
+      newTweets: comparison.newTweets.map(describeTweet),
+      disappearedTweets: comparison.disappearedTweets.map(describeTweet),
+      changedTweets: comparison.changedTweets.map(describeTweet),
+    };
+
+    await this.saveReport(report);
+    return report;
+  }
+
+  /**
+   * Writes the report as JSON and markdown into the later run's analytics directory.
+   * @param {object} report - Report from diff().
+   * @returns {Promise<string[]>} - Paths of the written files.
+   */
+  async saveReport(report) {
+    const analyticsDir = path.join(this.outputDir, this.username.toLowerCase(), report.to.runId, 'analytics');
+    const basePath = path.join(analyticsDir, `diff-${report.from.runId}`);
+    try {
+      await fs.mkdir(analyticsDir, { recursive: true });
+      await fs.writeFile(`${basePath}.json`, JSON.stringify(report, null, 2), 'utf-8');
+      await fs.writeFile(`${basePath}.md`, RunDiff.toMarkdown(report), 'utf-8');
+      Logger.success(`✅ Saved run diff to ${basePath}.md and .json`);
+    } catch (error) {
+      Logger.error(`❌ Error saving run diff: ${error.message}`);
+      throw error;
+    }
+    return [`${basePath}.json`, `${basePath}.md`];
+  }
+
+  /**
+   * Renders a report as markdown, listing the 20 tweets with the largest gains.
+   * @param {object} report - Report from diff().
+   * @returns {string}
+   */
+  static toMarkdown(report) {
+    const { summary } = report;
+    const runDate = (run) => (run.startedAt ? format(new Date(run.startedAt), 'yyyy-MM-dd HH:mm') : 'unknown date');
+    const signed = (value) => (value == null ? '-' : `${value > 0 ? '+' : ''}${value.toLocaleString()}`);
+    const excerpt = (text) => (text || '').replace(/\s+/g, ' ').slice(0, 100);
+    const tweetList = (tweets) =>
+      tweets.length > 0
+        ? tweets.map((t) => `- ${t.createdAt?.slice(0, 10) || '-'} ${excerpt(t.text)}\n  • ${t.url || t.id}`).join('\n')
+        : '_None_';
+    const tableCell = (t) => {
+      const label = excerpt(t.text).slice(0, 60).replace(/\|/g, '\\|') || t.id;
+      return t.url ? `[${label}](${t.url})` : label;
+    };
+
+    return `# Run Diff for @${report.username}
+
+## Runs
+- **From:** ${report.from.runId} (${runDate(report.from)}, ${report.from.tweets} tweets${report.from.incremental ? ', incremental' : ''})
+- **To:** ${report.to.runId} (${runDate(report.to)}, ${report.to.tweets} tweets${report.to.incremental ? ', incremental' : ''})
+
+## Summary
+- **New Tweets:** ${summary.newTweets}
+- **Disappeared Tweets (likely deleted):** ${summary.disappearedTweets}
+- **Tweets in Both Runs:** ${summary.commonTweets} (${summary.changedTweets} with changed engagement)
+- **Likes:** ${signed(summary.engagementDelta.likes)}
+- **Retweets:** ${signed(summary.engagementDelta.retweets)}
+- **Replies:** ${signed(summary.engagementDelta.replies)}
+- **Views:** ${signed(summary.engagementDelta.views)}
+
+Not compared: ${summary.backfilledTweets} tweets of the later run older than the earlier run, and ${summary.uncoveredTweets} tweets of the earlier run outside the period the later run covered.
+
+## New Tweets
+${tweetList(report.newTweets)}
+
+## Disappeared Tweets
+${tweetList(report.disappearedTweets)}
+
+## Engagement Changes
+${report.changedTweets.length > 0
+  ? `| Tweet | Likes | Retweets | Replies | Views |
+| --- | --- | --- | --- | --- |
+${report.changedTweets
+  .slice(0, 20)
+  .map((t) => `| ${tableCell(t)} | ${signed(t.delta.likes)} | ${signed(t.delta.retweets)} | ${signed(t.delta.replies)} | ${signed(t.delta.views)} |`)
+  .join('\n')}`
+  : '_None_'}
+`;
+  }
+}
+
+export default RunDiff;
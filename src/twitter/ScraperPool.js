@@ -0,0 +1,367 @@
+// src/twitter/ScraperPool.js
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { Scraper } from 'agent-twitter-client';
+import Logger from './Logger.js';
+import TweetSource from './sources/TweetSource.js';
+import {
+  getCookiesPath,
+  loadCookies,
+  saveCookies,
+  cookieToString,
+  getEnvInt,
+  isRateLimitError,
+  isAuthError,
+  createRateLimitTransform,
+  RateLimitError,
+} from './utils.js';
+
+/**
+ * Pool of authenticated scraper accounts.
+ *
+ * Live TweetSource that forwards each call to the Scraper of the current account,
+ * rotating to the next healthy account when one is rate limited or loses its session.
+ */
+class ScraperPool extends TweetSource {
+  /**
+   * @param {object[]} accounts - Account credentials.
+   * @param {string} accounts[].username - Twitter username.
+   * @param {string} [accounts[].password] - Twitter password.
+   * @param {string} [accounts[].email] - Twitter email.
+   * @param {object} [options]
+   * @param {number} [options.cooldown] - How long a rate-limited account rests before reuse (ms).
+   */
+  constructor(accounts, { cooldown = getEnvInt('ACCOUNT_COOLDOWN', 15 * 60 * 1000) } = {}) {
+    super();
+    this.accounts = accounts.map((credentials) => ({
+      credentials,
+      username: credentials.username,
+      scraper: null,
+      lastRateLimit: null, // Latest 429 seen by the account's scraper
+      health: 'pending',
+      cooldownUntil: 0,
+      usage: {
+        requests: 0,
+        tweets: 0,
+        rateLimits: 0,
+        authFailures: 0,
+        errors: 0,
+      },
+    }));
+    this.cooldown = cooldown;
+    this.currentIndex = 0;
+  }
+
+  /**
+   * Reads account credentials from the environment.
+   * TWITTER_ACCOUNTS_FILE points to a JSON array of {username, password, email};
+   * TWITTER_ACCOUNTS holds comma or newline separated username:password:email entries.
+   * Falls back to the single TWITTER_USERNAME / TWITTER_PASSWORD / TWITTER_EMAIL account.
+   * @returns {Promise<object[]>} accounts - Account credentials.
+   */
+  static async loadAccounts() {
+    if (process.env.TWITTER_ACCOUNTS_FILE) {
+      const data = await fs.readFile(process.env.TWITTER_ACCOUNTS_FILE, 'utf-8');
+      const accounts = JSON.parse(data);
+      if (!Array.isArray(accounts)) {
+        throw new Error('TWITTER_ACCOUNTS_FILE must contain a JSON array of accounts.');
+      }
+      return accounts.filter((account) => account.username);
+    }
+
+    if (process.env.TWITTER_ACCOUNTS) {
+      return process.env.TWITTER_ACCOUNTS.split(/[,\n]/)
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+          // Passwords may contain colons, usernames and emails can't
+          const first = entry.indexOf(':');
+          const last = entry.lastIndexOf(':');
+          if (first === -1) {
+            return { username: entry };
+          }
+          return {
+            username: entry.slice(0, first),
+            password: entry.slice(first + 1, last > first ? last : undefined),
+            email: last > first ? entry.slice(last + 1) : undefined,
+          };
+        });
+    }
+
+    if (process.env.TWITTER_USERNAME) {
+      return [{
+        username: process.env.TWITTER_USERNAME,
+        password: process.env.TWITTER_PASSWORD,
+        email: process.env.TWITTER_EMAIL,
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Authenticates every account in the pool.
+   * Accounts that fail to authenticate are kept out of rotation.
+   */
+  async initialize() {
+    if (this.accounts.length === 0) {
+      throw new Error('Missing Twitter credentials. Please set TWITTER_USERNAME, TWITTER_PASSWORD, and TWITTER_EMAIL (or TWITTER_ACCOUNTS) in the .env file.');
+    }
+
+    for (const account of this.accounts) {
+      try {
+        account.scraper = await this.authenticate(account);
+        account.health = 'healthy';
+      } catch (error) {
+        account.health = 'auth_failed';
+        Logger.error(`Failed to authenticate @${account.username}: ${error.message}`);
+      }
+    }
+
+    const healthy = this.accounts.filter((account) => account.health === 'healthy');
+    if (healthy.length === 0) {
+      throw new Error('No scraper account could be authenticated.');
+    }
+    Logger.success(`✅ ${healthy.length}/${this.accounts.length} scraper accounts authenticated.`);
+  }
+
+  /**
+   * Authenticates a single account.
+   * Restores the account's saved cookies when possible and only falls back to a
+   * password login when the saved session is missing or expired.
+   * @param {object} account - Pool account.
+   * @returns {Promise<Scraper>} - Authenticated scraper instance.
+   */
+  async authenticate(account) {
+    const { username, password, email } = account.credentials;
+    const scraper = new Scraper({
+      transform: createRateLimitTransform((error) => {
+        account.lastRateLimit = error;
+      }),
+    });
+    Logger.info(`Initializing scraper for @${username}...`);
+
+    const cookiesPath = getCookiesPath(username);
+    const cookies = await loadCookies(cookiesPath);
+    if (cookies?.length) {
+      Logger.info(`Restoring saved session from ${cookiesPath}...`);
+      await scraper.setCookies(cookies.map(cookieToString));
+      if (await scraper.isLoggedIn()) {
+        Logger.success(`✅ Scraper for @${username} is already authenticated.`);
+        await saveCookies(cookiesPath, await scraper.getCookies());
+        return scraper;
+      }
+      Logger.warn(`Saved session for @${username} is no longer valid.`);
+    }
+
+    Logger.info(`Logging in to Twitter as @${username}...`);
+
+    if (!password || !email) {
+      throw new Error(`Missing password or email for @${username}.`);
+    }
+
+    await scraper.login(username, password, email);
+    if (!(await scraper.isLoggedIn())) {
+      throw new Error('Login verification failed.');
+    }
+
+    Logger.success(`✅ Successfully authenticated @${username} with Twitter.`);
+    await saveCookies(cookiesPath, await scraper.getCookies());
+    return scraper;
+  }
+
+  /**
+   * Returns the account currently used for requests, rotating past unavailable ones.
+   * @returns {object|null} account - Current account, or null if none is available.
+   */
+  current() {
+    const now = Date.now();
+    for (let offset = 0; offset < this.accounts.length; offset++) {
+      const index = (this.currentIndex + offset) % this.accounts.length;
+      const account = this.accounts[index];
+      if (account.health === 'rate_limited' && account.cooldownUntil <= now) {
+        account.health = 'healthy';
+      }
+      if (account.health === 'healthy') {
+        if (index !== this.currentIndex) {
+          Logger.info(`🔄 Rotating to scraper account @${account.username}.`);
+          this.currentIndex = index;
+        }
+        return account;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forwards a Scraper method call to the current account, rotating on rate limits
+   * and auth failures until an account succeeds or none is left.
+   * @param {string} method - Scraper method name.
+   * @param {...*} args - Method arguments.
+   * @returns {Promise<*>} - Result of the call.
+   */
+  async request(method, ...args) {
+    let lastError = null;
+
+    for (let account = this.current(); account; account = this.current()) {
+      account.usage.requests++;
+      const startedAt = Date.now();
+      try {
+        const result = await account.scraper[method](...args);
+        if (Array.isArray(result?.tweets)) {
+          account.usage.tweets += result.tweets.length;
+        }
+        return result;
+      } catch (thrown) {
+        // The client reports a rate limit as a generic request failure
+        const error = account.lastRateLimit?.at >= startedAt ? account.lastRateLimit : thrown;
+        lastError = error;
+        if (isRateLimitError(error)) {
+          this.markRateLimited(account, error);
+        } else if (isAuthError(error)) {
+          account.usage.authFailures++;
+          account.health = 'auth_failed';
+          Logger.warn(`Scraper account @${account.username} failed authentication: ${error.message}`);
+        } else {
+          account.usage.errors++;
+          throw error;
+        }
+      }
+    }
+
+    throw this.getExhaustedError() || lastError || new Error('No healthy scraper accounts available.');
+  }
+
+  /**
+   * Takes a rate-limited account out of rotation until its rate limit resets.
+   * @param {object} account - Pool account.
+   * @param {RateLimitError} error - The rate limit.
+   */
+  markRateLimited(account, error) {
+    account.usage.rateLimits++;
+    account.health = 'rate_limited';
+    account.cooldownUntil = error.resetAt || Date.now() + this.cooldown;
+    Logger.recordRateLimit();
+    Logger.warn(
+      `Scraper account @${account.username} hit a rate limit, resting until ${new Date(account.cooldownUntil).toLocaleTimeString()}.`
+    );
+  }
+
+  /**
+   * Describes why no account is left when the remaining ones are all rate limited.
+   * Retrying before the first of them resets is pointless, so the error is marked
+   * as exhausted and TwitterPipeline.withRetry() gives up on it right away.
+   * @returns {RateLimitError|null} - Error to throw, or null if some account failed authentication instead.
+   */
+  getExhaustedError() {
+    const resting = this.accounts.filter((account) => account.health === 'rate_limited');
+    if (resting.length === 0) {
+      return null;
+    }
+    const resetAt = Math.min(...resting.map((account) => account.cooldownUntil));
+    const error = new RateLimitError(
+      `All scraper accounts are rate limited until ${new Date(resetAt).toLocaleTimeString()}.`,
+      resetAt
+    );
+    error.exhausted = true;
+    return error;
+  }
+
+  /**
+   * Checks that the current account is logged in, rotating past accounts whose session expired.
+   * Throws when the accounts left are all rate limited.
+   * @returns {Promise<boolean>}
+   */
+  async isLoggedIn() {
+    for (let account = this.current(); account; account = this.current()) {
+      const startedAt = Date.now();
+      if (await account.scraper.isLoggedIn()) {
+        return true;
+      }
+      // The client reports a rate-limited check as logged out
+      if (account.lastRateLimit?.at >= startedAt) {
+        this.markRateLimited(account, account.lastRateLimit);
+        continue;
+      }
+      account.usage.authFailures++;
+      account.health = 'auth_failed';
+      Logger.warn(`Scraper session for @${account.username} expired or invalid.`);
+    }
+    const exhausted = this.getExhaustedError();
+    if (exhausted) {
+      throw exhausted;
+    }
+    return false;
+  }
+
+  getProfile(username) {
+    return this.request('getProfile', username);
+  }
+
+  searchTweets(query, maxTweets, searchMode, cursor) {
+    return this.request('fetchSearchTweets', query, maxTweets, searchMode, cursor);
+  }
+
+  getTweet(id) {
+    return this.request('getTweet', id);
+  }
+
+  getListTweets(listId, maxTweets, cursor) {
+    return this.request('fetchListTweets', listId, maxTweets, cursor);
+  }
+
+  getFollowers(userId, maxProfiles, cursor) {
+    return this.request('fetchProfileFollowers', userId, maxProfiles, cursor);
+  }
+
+  getFollowing(userId, maxProfiles, cursor) {
+    return this.request('fetchProfileFollowing', userId, maxProfiles, cursor);
+  }
+
+  describe() {
+    return {
+      type: 'scraper',
+      account: this.accounts[this.currentIndex]?.username,
+      accounts: this.accounts.map((account) => account.username),
+    };
+  }
+
+  /**
+   * Prints per-account usage and health.
+   */
+  printReport() {
+    const healthColors = {
+      healthy: chalk.green,
+      rate_limited: chalk.yellow,
+      auth_failed: chalk.red,
+      pending: chalk.gray,
+    };
+
+    Logger.table(
+      'Scraper Accounts',
+      ['Account', 'Health', 'Requests', 'Tweets', 'Rate Limits', 'Auth Failures', 'Errors'],
+      this.accounts.map((account) => [
+        `@${account.username}`,
+        healthColors[account.health](account.health),
+        account.usage.requests,
+        account.usage.tweets,
+        account.usage.rateLimits,
+        account.usage.authFailures,
+        account.usage.errors,
+      ])
+    );
+  }
+
+  /**
+   * Saves the refreshed cookies of every authenticated account.
+   */
+  async close() {
+    for (const account of this.accounts) {
+      if (account.scraper && account.health !== 'auth_failed') {
+        await saveCookies(getCookiesPath(account.username), await account.scraper.getCookies());
+      }
+    }
+  }
+}
+
+export default ScraperPool;
@@ -0,0 +1,218 @@
+// src/twitter/TweetExporter.js
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { ParquetWriter, schemaFromColumnData, fileWriter } from 'hyparquet-writer';
+import Logger from './Logger.js';
+import DatabaseManager from './DatabaseManager.js';
+import { toCsvField } from './utils.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'parquet'];
+
+/**
+ * Columns of every export, in order. Changing a column's name, type or meaning is a
+ * breaking change for the notebooks reading the exports: add columns at the end and
+ * bump EXPORT_SCHEMA_VERSION instead.
+ *
+ * Types: string, integer, boolean, timestamp (ISO 8601 string, UTC) and list (of strings).
+ * Lists are JSON arrays in JSONL, JSON-encoded strings in CSV and JSON columns in Parquet.
+ * Counts and flags are empty for tweets stored before the column existed.
+ */
+export const EXPORT_COLUMNS = [
+  { name: 'id', type: 'string', description: 'Tweet id' },
+  { name: 'username', type: 'string', description: 'Author handle' },
+  { name: 'user_id', type: 'string', description: 'Author account id' },
+  { name: 'name', type: 'string', description: 'Author display name' },
+  { name: 'text', type: 'string', description: 'Tweet text' },
+  { name: 'created_at', type: 'timestamp', description: 'Time the tweet was posted' },
+  { name: 'timestamp', type: 'integer', description: 'Time the tweet was posted (unix seconds)' },
+  { name: 'url', type: 'string', description: 'Tweet URL' },
+  { name: 'conversation_id', type: 'string', description: 'Id of the first tweet of the conversation' },
+  { name: 'in_reply_to_id', type: 'string', description: 'Id of the tweet this one replies to' },
+  { name: 'quoted_id', type: 'string', description: 'Id of the quoted tweet' },
+  { name: 'retweeted_id', type: 'string', description: 'Id of the retweeted tweet' },
+  { name: 'is_reply', type: 'boolean', description: 'Tweet is a reply' },
+  { name: 'is_retweet', type: 'boolean', description: 'Tweet is a retweet' },
+  { name: 'is_quote', type: 'boolean', description: 'Tweet quotes another tweet' },
+  { name: 'is_pin', type: 'boolean', description: 'Tweet is pinned on the author profile' },
+  { name: 'is_self_thread', type: 'boolean', description: 'Tweet is part of a thread by its author' },
+  { name: 'is_sensitive', type: 'boolean', description: 'Tweet is marked as sensitive content' },
+  { name: 'likes', type: 'integer', description: 'Likes at the latest collection' },
+  { name: 'retweets', type: 'integer', description: 'Retweets at the latest collection' },
+  { name: 'replies', type: 'integer', description: 'Replies at the latest collection' },
+  { name: 'views', type: 'integer', description: 'Views at the latest collection' },
+  { name: 'bookmarks', type: 'integer', description: 'Bookmarks at the latest collection' },
+  { name: 'hashtags', type: 'list', description: 'Hashtags, without #' },
+  { name: 'mentions', type: 'list', description: 'Mentioned handles' },
+  { name: 'urls', type: 'list', description: 'Expanded links' },
+  { name: 'media', type: 'list', description: 'Photo and video URLs' },
+];
+export const EXPORT_SCHEMA_VERSION = 1;
+
+const PARQUET_TYPES = {
+  string: 'STRING',
+  timestamp: 'STRING',
+  integer: 'INT64',
+  boolean: 'BOOLEAN',
+  list: 'JSON',
+};
+
+/**
+ * Streams the tweets of the database to a CSV, JSONL or Parquet file.
+ *
+ * Tweets are read and written in batches, so exports of large databases don't have to fit
+ * in memory. Next to the export, `<file>.schema.json` documents the columns, the filters
+ * and the number of rows.
+ */
+class TweetExporter {
+  /**
+   * @param {string} format - One of EXPORT_FORMATS.
+   * @param {object} [filters] - Filters of DatabaseManager.iterateTweets().
+   */
+  constructor(format, filters = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format: ${format}. Use ${EXPORT_FORMATS.join(', ')}.`);
+    }
+    this.format = format;
+    this.filters = filters;
+    this.databaseManager = DatabaseManager.getInstance(); // Singleton instance
+  }
+
+  /**
+   * Determines the format of an export from its file extension.
+   * @param {string} file - Export file.
+   * @returns {string|null} - Export format, or null if the extension is not known.
+   */
+  static getFormat(file) {
+    const extension = path.extname(file).slice(1).toLowerCase();
+    if (extension === 'json' || extension === 'ndjson') return 'jsonl';
+    return EXPORT_FORMATS.includes(extension) ? extension : null;
+  }
+
+  /**
+   * Converts a database row to the values of the export columns.
+   * @param {object} row - Row from DatabaseManager.iterateTweets().
+   * @returns {object} - Column name to value; lists are arrays and flags booleans.
+   */
+  static toRecord(row) {
+    const record = {};
+    for (const { name, type } of EXPORT_COLUMNS) {
+      const value = row[name];
+      if (type === 'list') {
+        record[name] = value ? JSON.parse(value) : [];
+      } else if (type === 'boolean') {
+        record[name] = value == null ? null : Boolean(value);
+      } else {
+        record[name] = value ?? null;
+      }
+    }
+    return record;
+  }
+
+  /**
+   * Exports the tweets matching the filters.
+   * @param {string} file - Export file, overwritten if it exists.
+   * @returns {Promise<number>} - Number of exported tweets.
+   */
+  async export(file) {
+    await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    Logger.info(`Exporting tweets to ${file} (${this.format})...`);
+
+    const writer = {
+      csv: () => this.createTextWriter(file, (records, isFirst) => [
+        ...(isFirst ? [EXPORT_COLUMNS.map(({ name }) => name).join(',')] : []),
+        ...records.map((record) =>
+          EXPORT_COLUMNS.map(({ name, type }) =>
+            toCsvField(type === 'list' ? JSON.stringify(record[name]) : record[name])
+          ).join(',')
+        ),
+      ]),
+      jsonl: () => this.createTextWriter(file, (records) => records.map((record) => JSON.stringify(record))),
+      parquet: () => this.createParquetWriter(file),
+    }[this.format]();
+
+    let rows = 0;
+    try {
+      for await (const batch of this.databaseManager.iterateTweets(this.filters)) {
+        await writer.write(batch.map((row) => TweetExporter.toRecord(row)));
+        rows += batch.length;
+        Logger.debug(`Exported ${rows} tweets...`);
+      }
+    } finally {
+      await writer.finish();
+    }
+
+    await fs.promises.writeFile(`${file}.schema.json`, JSON.stringify({
+      format: this.format,
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      filters: this.filters,
+      rows,
+      columns: EXPORT_COLUMNS,
+    }, null, 2), 'utf-8');
+
+    Logger.success(`✅ Exported ${rows} tweets to ${file}`);
+    return rows;
+  }
+
+  /**
+   * Creates a writer appending lines to a text file, waiting for the stream to drain.
+   * @param {string} file - Export file.
+   * @param {Function} toLines - Converts a batch of records, and whether it is the first, to lines.
+   * @returns {{write: Function, finish: Function}}
+   */
+  createTextWriter(file, toLines) {
+    const stream = fs.createWriteStream(file, 'utf-8');
+    let isFirst = true;
+    return {
+      write: async (records) => {
+        const lines = toLines(records, isFirst);
+        isFirst = false;
+        if (lines.length > 0 && !stream.write(`${lines.join('\n')}\n`)) {
+          await once(stream, 'drain');
+        }
+      },
+      finish: async () => {
+        if (isFirst) {
+          // Even an empty export gets the CSV header
+          stream.write(toLines([], true).map((line) => `${line}\n`).join(''));
+        }
+        stream.end();
+        await finished(stream);
+      },
+    };
+  }
+
+  /**
+   * Creates a writer adding a Parquet row group per batch.
+   * @param {string} file - Export file.
+   * @returns {{write: Function, finish: Function}}
+   */
+  createParquetWriter(file) {
+    const toColumnData = (records) =>
+      EXPORT_COLUMNS.map(({ name, type }) => ({
+        name,
+        type: PARQUET_TYPES[type],
+        data: records.map((record) =>
+          type === 'integer' && record[name] != null ? BigInt(record[name]) : record[name]
+        ),
+      }));
+
+    const writer = new ParquetWriter({
+      writer: fileWriter(file),
+      schema: schemaFromColumnData({ columnData: toColumnData([]) }),
+      kvMetadata: [{ key: 'tweet_export_columns', value: JSON.stringify(EXPORT_COLUMNS) }],
+    });
+    return {
+      write: async (records) => {
+        await writer.write({ columnData: toColumnData(records), rowGroupSize: records.length });
+      },
+      finish: async () => {
+        await writer.finish();
+      },
+    };
+  }
+}
+
+export default TweetExporter;
@@ -1,13 +1,107 @@
 // TweetFilter.js
+import fs from 'fs/promises';
 import inquirer from 'inquirer';
-import { parseISO, isValid } from 'date-fns';
+import { parseISO, isValid, addDays } from 'date-fns';
 import Table from 'cli-table3';
 import chalk from 'chalk';
 import Logger from './Logger.js';
 
+const TWEET_TYPES = ['original', 'replies', 'quotes', 'retweets'];
+const CONTENT_TYPES = ['text', 'images', 'videos', 'links'];
+
 class TweetFilter {
-  constructor() {
-    this.options = {};
+  constructor(options = {}) {
+    this.options = options;
+    this.rejections = {};
+  }
+
+  /**
+   * Creates a filter from a JSON config file.
+   * @param {string} filePath - Path to the JSON filter config.
+   * @param {object} [overrides] - Options taking precedence over the file (e.g. from CLI flags).
+   * @returns {Promise<TweetFilter>}
+   */
+  static async fromFile(filePath, overrides = {}) {
+    let config;
+    try {
+      config = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to load filter config ${filePath}: ${error.message}`);
+    }
+    return new TweetFilter(TweetFilter.normalizeOptions({ ...config, ...overrides }));
+  }
+
+  /**
+   * Normalizes non-interactive filter options into the shape produced by the prompts.
+   * Missing tweet/content types default to everything, and the filterBy* switches are
+   * derived from the presence of their values.
+   * @param {object} config - Raw filter options.
+   * @param {string[]} [config.tweetTypes] - Any of original, replies, quotes, retweets.
+   * @param {string[]} [config.contentTypes] - Any of text, images, videos, links.
+   * @param {number} [config.minLikes] - Minimum number of likes.
+   * @param {number} [config.minRetweets] - Minimum number of retweets.
+   * @param {string} [config.startDate] - Start date (YYYY-MM-DD).
+   * @param {string} [config.endDate] - End date (YYYY-MM-DD).
+   * @param {string[]} [config.keywordsToExclude] - Keywords to exclude (alias: excludeKeywords).
+   * @returns {object} options - Filter options.
+   */
+  static normalizeOptions(config) {
+    const toList = (value) =>
+      typeof value === 'string'
+        ? value.split(',').map((v) => v.trim()).filter(Boolean)
+        : value;
+
+    const tweetTypes = toList(config.tweetTypes) || TWEET_TYPES;
+    const contentTypes = toList(config.contentTypes) || CONTENT_TYPES;
+    const invalidTypes = [
+      ...tweetTypes.filter((t) => !TWEET_TYPES.includes(t)),
+      ...contentTypes.filter((t) => !CONTENT_TYPES.includes(t)),
+    ];
+    if (invalidTypes.length > 0) {
+      throw new Error(`Unknown tweet or content types: ${invalidTypes.join(', ')}`);
+    }
+
+    const minLikes = config.minLikes != null ? Number(config.minLikes) : undefined;
+    const minRetweets = config.minRetweets != null ? Number(config.minRetweets) : undefined;
+    for (const [name, value] of Object.entries({ minLikes, minRetweets })) {
+      if (value !== undefined && !(value >= 0)) {
+        throw new Error(`${name} must be a non-negative number.`);
+      }
+    }
+
+    for (const name of ['startDate', 'endDate']) {
+      if (config[name] && !isValid(parseISO(config[name]))) {
+        throw new Error(`${name} must be a valid date (YYYY-MM-DD).`);
+      }
+    }
+
+    const keywordsToExclude =
+      toList(config.keywordsToExclude) ||
+      (Array.isArray(config.excludeKeywords) || typeof config.excludeKeywords === 'string'
+        ? toList(config.excludeKeywords)
+        : []);
+
+    const options = {
+      tweetTypes,
+      contentTypes,
+      filterByEngagement: minLikes !== undefined || minRetweets !== undefined,
+      filterByDate: Boolean(config.startDate || config.endDate),
+      excludeKeywords: keywordsToExclude.length > 0,
+    };
+
+    if (options.filterByEngagement) {
+      options.minLikes = minLikes || 0;
+      options.minRetweets = minRetweets || 0;
+    }
+    if (options.filterByDate) {
+      options.startDate = config.startDate;
+      options.endDate = config.endDate;
+    }
+    if (options.excludeKeywords) {
+      options.keywordsToExclude = keywordsToExclude;
+    }
+
+    return options;
   }
 
   async promptCollectionMode() {
@@ -246,6 +340,41 @@ class TweetFilter {
   }
 
   shouldIncludeTweet(tweet) {
+    return this.getRejectionReason(tweet) === null;
+  }
+
+  /**
+   * Checks a tweet against the filter and counts the rule that rejected it.
+   * @param {object} tweet - Tweet object.
+   * @returns {boolean} - True if the tweet passes the filter.
+   */
+  test(tweet) {
+    const reason = this.getRejectionReason(tweet);
+    if (reason) {
+      this.rejections[reason] = (this.rejections[reason] || 0) + 1;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Returns the applied options and rejection counts per rule.
+   * @returns {object} summary - Filter summary for run statistics.
+   */
+  getSummary() {
+    return {
+      options: this.options,
+      rejected: { ...this.rejections },
+      totalRejected: Object.values(this.rejections).reduce((sum, n) => sum + n, 0),
+    };
+  }
+
+  /**
+   * Determines which rule, if any, excludes a tweet.
+   * @param {object} tweet - Tweet object.
+   * @returns {string|null} - Name of the rejecting rule, or null if the tweet is included.
+   */
+  getRejectionReason(tweet) {
     if (
       this.options.tweetTypes?.length === 4 &&
       this.options.contentTypes?.length === 4 &&
@@ -253,53 +382,58 @@ class TweetFilter {
       !this.options.filterByDate &&
       !this.options.excludeKeywords
     ) {
-      return true;
+      return null;
     }
 
     if (!this.options.tweetTypes.includes('retweets') && tweet.isRetweet) {
-      return false;
+      return 'retweets';
     }
 
     if (!this.options.tweetTypes.includes('replies') && tweet.isReply) {
-      return false;
+      return 'replies';
     }
-    if (!this.options.tweetTypes.includes('quotes') && tweet.quotedTweet) {
-      return false;
+    // agent-twitter-client marks quote tweets with isQuoted and quotedStatusId
+    const isQuote = Boolean(tweet.isQuoted || tweet.quotedStatusId);
+    if (!this.options.tweetTypes.includes('quotes') && isQuote) {
+      return 'quotes';
     }
     if (
       !this.options.tweetTypes.includes('original') &&
       !tweet.isReply &&
-      !tweet.quotedTweet &&
+      !isQuote &&
       !tweet.isRetweet
     ) {
-      return false;
+      return 'original';
     }
 
     const hasImage = tweet.photos && tweet.photos.length > 0;
     const hasVideo = tweet.videos && tweet.videos.length > 0;
     const hasLinks = tweet.urls && tweet.urls.length > 0;
 
-    if (!this.options.contentTypes.includes('images') && hasImage) return false;
-    if (!this.options.contentTypes.includes('videos') && hasVideo) return false;
-    if (!this.options.contentTypes.includes('links') && hasLinks) return false;
+    if (!this.options.contentTypes.includes('images') && hasImage) return 'images';
+    if (!this.options.contentTypes.includes('videos') && hasVideo) return 'videos';
+    if (!this.options.contentTypes.includes('links') && hasLinks) return 'links';
     if (
       !this.options.contentTypes.includes('text') &&
       !hasImage &&
       !hasVideo &&
       !hasLinks
     )
-      return false;
+      return 'text';
 
     if (this.options.filterByEngagement) {
-      if (tweet.likes < this.options.minLikes) return false;
-      if (tweet.retweetCount < this.options.minRetweets) return false;
+      if (tweet.likes < this.options.minLikes) return 'minLikes';
+      // agent-twitter-client tweets carry retweets, older saved tweets retweetCount
+      if ((tweet.retweets ?? tweet.retweetCount) < this.options.minRetweets) return 'minRetweets';
     }
 
     if (this.options.filterByDate) {
-      const tweetDate = new Date(tweet.timestamp);
-      const startDate = new Date(this.options.startDate);
-      const endDate = new Date(this.options.endDate);
-      if (tweetDate < startDate || tweetDate > endDate) return false;
+      // Tweet timestamps are in seconds
+      const tweetDate = new Date(tweet.timestamp * 1000);
+      // The end date is inclusive, as in find and export, so the range ends with that day
+      const { startDate, endDate } = this.options;
+      if (startDate && tweetDate < parseISO(startDate)) return 'dateRange';
+      if (endDate && tweetDate >= addDays(parseISO(endDate), 1)) return 'dateRange';
     }
 
     if (
@@ -308,10 +442,10 @@ class TweetFilter {
         tweet.text.toLowerCase().includes(keyword.toLowerCase())
       )
     ) {
-      return false;
+      return 'excludedKeywords';
     }
 
-    return true;
+    return null;
   }
 }
 
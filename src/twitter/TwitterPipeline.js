@@ -1,84 +1,701 @@
 import Logger from './Logger.js';
 import DataOrganizer from './DataOrganizer.js';
 import DatabaseManager from './DatabaseManager.js';
-import LinkaceManager from './LinkaceManager.js';
+import SinkRegistry from './sinks/SinkRegistry.js';
+import MediaArchiver from './MediaArchiver.js';
+import { SearchMode } from 'agent-twitter-client';
+import {
+  compareTweetIds,
+  getBuildInfo,
+  getEnvInt,
+  sleep,
+  jitteredDelay,
+  isRateLimitError,
+  isTransientError,
+} from './utils.js';
 
 class TwitterPipeline {
-  constructor(username, scraper) {
+  /**
+   * @param {string} username - Twitter handle.
+   * @param {TweetSource} source - Source of tweets and profiles, e.g. a ScraperPool.
+   * @param {object} [options] - Pipeline options, see the defaults below.
+   */
+  constructor(username, source, options = {}) {
     this.username = username;
-    this.scraper = scraper;
-    this.dataOrganizer = new DataOrganizer('pipeline', username);
+    this.source = source;
+    this.options = {
+      outputDir: 'pipeline', // Base directory for run outputs
+      sinks: ['files', 'sqlite', 'linkace'], // Storage targets for collected tweets
+      incremental: false, // Only fetch tweets newer than the newest stored tweet
+      runId: null, // Existing run to resume instead of starting a new one
+      filter: null, // TweetFilter applied to collected tweets
+      threads: false, // Fetch the parent tweets of the user's replies
+      conversations: false, // Also fetch the rest of each reply's conversation
+      threadDepth: getEnvInt('THREAD_DEPTH', 10), // Maximum number of ancestors fetched per reply
+      maxContextTweets: getEnvInt('MAX_CONTEXT_TWEETS', 500), // Cap on parent and conversation tweets per run
+      media: false, // Download photos and videos into the run directory
+      mediaMaxFileSize: getEnvInt('MEDIA_MAX_FILE_MB', 50) * 1024 * 1024, // Largest media file downloaded (bytes)
+      mediaMaxTotalSize: getEnvInt('MEDIA_MAX_TOTAL_MB', 1024) * 1024 * 1024, // Media bytes downloaded per run
+      inbound: false, // Collect tweets mentioning or replying to the user
+      maxInboundTweets: getEnvInt('MAX_INBOUND_TWEETS', 500), // Cap on inbound tweets collected per run
+      graph: false, // Collect the user's followers and followed accounts
+      maxFollowers: getEnvInt('MAX_FOLLOWERS', 1000), // Cap on followers collected per run
+      maxFollowing: getEnvInt('MAX_FOLLOWING', 1000), // Cap on followed accounts collected per run
+      checkpointInterval: 5, // Pages between checkpoints
+      maxTweets: getEnvInt('MAX_TWEETS', 100, 1), // Per-user tweet cap
+      minDelay: getEnvInt('MIN_DELAY', 1000), // Minimum delay between page requests (ms)
+      maxDelay: getEnvInt('MAX_DELAY', 3000), // Maximum delay between page requests (ms)
+      maxRetries: getEnvInt('MAX_RETRIES', 3), // Retries for rate limits and transient errors
+      retryDelay: getEnvInt('RETRY_DELAY', 5000), // Base delay for exponential retry backoff (ms)
+      ...options,
+    };
+    this.pageSize = 50; // Twitter caps search pages at 50 tweets
+    this.collectionStats = {
+      newTweets: 0,
+      alreadySeen: 0,
+      pages: 0,
+      lastKnownTweetId: null,
+      contextTweets: 0,
+      inboundTweets: 0,
+      media: null,
+      graph: null,
+    };
+    this.tweetFilter = this.options.filter;
+    this.profile = null; // Profile snapshot fetched during collection
+    this.errors = []; // Errors recorded for the run manifest
+    this.sinkFailure = null; // First failed sink save, which fails the run
+    this.accountsUsed = new Set(); // Source accounts that served this run's requests
+    this.dataOrganizer = new DataOrganizer(this.options.outputDir, username, this.options.runId);
     this.databaseManager = DatabaseManager.getInstance(); // Singleton instance
-    this.linkaceManager = LinkaceManager.getInstance(); // Singleton instance
+    this.sinks = new SinkRegistry(this.options.sinks);
   }
 
-  async verifyScraperSession() {
-    Logger.info(`Verifying scraper session for @${this.username}...`);
-    if (await this.scraper.isLoggedIn()) {
-      Logger.success('✅ Scraper session is valid.');
+  async verifySession() {
+    Logger.info(`Verifying source session for @${this.username}...`);
+    if (await this.source.isLoggedIn()) {
+      Logger.success('✅ Source session is valid.');
     } else {
-      throw new Error('Scraper session expired or invalid.');
+      throw new Error('Source session expired or invalid.');
     }
   }
 
+  /**
+   * Determines whether a tweet was already collected by a previous run.
+   * @param {object} tweet - Tweet object.
+   * @param {{id: string, timestamp: number}|null} latestKnown - Newest stored tweet.
+   * @returns {boolean}
+   */
+  isKnownTweet(tweet, latestKnown) {
+    if (!latestKnown) return false;
+    try {
+      return compareTweetIds(tweet.id, latestKnown.id) <= 0;
+    } catch {
+      return tweet.timestamp <= latestKnown.timestamp;
+    }
+  }
+
+  /**
+   * Runs a source request, retrying rate limits and transient errors with exponential backoff.
+   * @param {Function} request - Function performing the request.
+   * @param {string} description - Description of the request for logging.
+   * @returns {Promise<*>} - Result of the request.
+   */
+  async withRetry(request, description) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await request();
+        const { account } = this.source.describe();
+        if (account) {
+          this.accountsUsed.add(account);
+        }
+        return response;
+      } catch (error) {
+        const rateLimited = isRateLimitError(error);
+        if (rateLimited) {
+          Logger.recordRateLimit();
+        }
+        // An exhausted account pool stays rate limited for longer than retrying is worth
+        if (attempt >= this.options.maxRetries || error.exhausted || !(rateLimited || isTransientError(error))) {
+          throw error;
+        }
+
+        // Waiting less than the rate limit window would only be rate limited again
+        const backoff = this.options.retryDelay * 2 ** attempt;
+        const delay = rateLimited && error.resetAt ? Math.max(backoff, error.resetAt - Date.now()) : backoff;
+        Logger.warn(
+          `${rateLimited ? 'Rate limited while' : 'Error while'} ${description}: ${error.message}. ` +
+          `Retrying in ${delay}ms (attempt ${attempt + 1}/${this.options.maxRetries})...`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Saves data of the run to every enabled sink, recording the sinks that failed.
+   * @param {string} method - Sink method name, e.g. saveTweets.
+   * @param {...*} args - Method arguments after the run.
+   * @returns {Promise<{sink: string, error: Error}[]>} - Sinks that failed.
+   */
+  async saveToSinks(method, ...args) {
+    const failures = await this.sinks.dispatch(
+      method,
+      { username: this.username, dataOrganizer: this.dataOrganizer },
+      ...args
+    );
+    for (const { sink, error } of failures) {
+      this.recordError(`sink:${sink}`, error);
+      this.sinkFailure ??= `The ${sink} sink failed to ${method}: ${error.message}`;
+    }
+    return failures;
+  }
+
+  /**
+   * Records an error for the run manifest.
+   * @param {string} stage - Pipeline stage the error happened in.
+   * @param {Error} error - The error.
+   */
+  recordError(stage, error) {
+    this.errors.push({ stage, message: error.message, at: new Date().toISOString() });
+  }
+
+  /**
+   * Saves the collection state to the run's meta directory.
+   * @param {Map<string, object>} tweets - Tweets gathered so far.
+   * @param {string|null} cursor - Cursor of the next page to fetch.
+   * @param {{id: string, timestamp: number}|null} latestKnown - Newest stored tweet in incremental mode.
+   */
+  async saveCheckpoint(tweets, cursor, latestKnown) {
+    await this.dataOrganizer.saveCheckpoint({
+      cursor,
+      tweets: Array.from(tweets.values()),
+      stats: {
+        ...this.collectionStats,
+        latestKnown,
+        filterRejections: this.tweetFilter?.getSummary().rejected,
+      },
+    });
+  }
+
+  /**
+   * Extracts the profile fields kept for each run.
+   * @param {object} profile - Profile returned by the source.
+   * @returns {object} snapshot - Profile snapshot with the time it was fetched.
+   */
+  createProfileSnapshot(profile) {
+    return {
+      username: profile.username || this.username,
+      userId: profile.userId || null,
+      name: profile.name || null,
+      biography: profile.biography || null,
+      location: profile.location || null,
+      website: profile.website || null,
+      avatar: profile.avatar || null,
+      banner: profile.banner || null,
+      followersCount: profile.followersCount ?? null,
+      followingCount: profile.followingCount ?? null,
+      tweetsCount: profile.tweetsCount ?? null,
+      likesCount: profile.likesCount ?? null,
+      listedCount: profile.listedCount ?? null,
+      joined: profile.joined ? new Date(profile.joined).toISOString() : null,
+      isVerified: Boolean(profile.isVerified),
+      isBlueVerified: Boolean(profile.isBlueVerified),
+      isPrivate: Boolean(profile.isPrivate),
+      fetchedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Fetches the user's profile and keeps a snapshot of it for the run.
+   */
+  async fetchProfile() {
+    const profile = await this.withRetry(
+      () => this.source.getProfile(this.username),
+      `fetching profile for @${this.username}`
+    );
+    this.profile = this.createProfileSnapshot(profile);
+    Logger.info(`Found ${profile.tweetsCount} tweets for @${this.username}.`);
+  }
+
+  /**
+   * Fetches a page of the tweets collected by this pipeline, newest first.
+   * @param {number} count - Number of tweets to request.
+   * @param {string} [cursor] - Cursor of the page to fetch.
+   * @returns {Promise<{tweets: object[], next: string}>} - Page of tweets and the cursor of the next page.
+   */
+  fetchTweetPage(count, cursor) {
+    return this.source.searchTweets(`from:${this.username}`, count, SearchMode.Latest, cursor);
+  }
+
+  /**
+   * Retrieves the newest tweet collected by previous successful runs, where incremental collection stops.
+   * @returns {Promise<{id: string, timestamp: number}|null>}
+   */
+  getLatestKnownTweet() {
+    return this.databaseManager.getLatestTweet(this.username);
+  }
+
   async collectTweets() {
     Logger.info(`Starting tweet collection for @${this.username}...`);
     const tweets = new Map();
+    let cursor;
+    let latestKnown = null;
+    this.interrupted = false;
 
     try {
-      const profile = await this.scraper.getProfile(this.username);
-      Logger.info(`Found ${profile.tweetsCount} tweets for @${this.username}.`);
+      const checkpoint = this.options.runId
+        ? await this.dataOrganizer.loadCheckpoint()
+        : null;
 
-      const searchResults = this.scraper.searchTweets(
-        `from:${this.username}`,
-        100  // Scrape 100 tweets
-      );
+      if (checkpoint) {
+        for (const tweet of checkpoint.tweets) {
+          tweets.set(tweet.id, tweet);
+        }
+        const { latestKnown: checkpointLatestKnown, filterRejections, ...stats } = checkpoint.stats;
+        Object.assign(this.collectionStats, stats);
+        latestKnown = checkpointLatestKnown;
+        if (this.tweetFilter && filterRejections) {
+          this.tweetFilter.rejections = { ...filterRejections };
+        }
+        cursor = checkpoint.cursor || undefined;
+        Logger.info(`Resuming collection for @${this.username} from run ${this.dataOrganizer.runId} with ${tweets.size} tweets.`);
+      } else if (this.options.incremental) {
+        latestKnown = await this.getLatestKnownTweet();
+        if (latestKnown) {
+          this.collectionStats.lastKnownTweetId = latestKnown.id;
+          Logger.info(`Incremental mode: collecting tweets newer than ${latestKnown.id} for @${this.username}.`);
+        } else {
+          Logger.info(`Incremental mode: no stored tweets for @${this.username}, collecting from scratch.`);
+        }
+      }
+
+      await this.fetchProfile();
+
+      Logger.reset();
+      let currentDelay = 0;
+      while (tweets.size < this.options.maxTweets) {
+        const { tweets: page, next } = await this.withRetry(
+          () => this.fetchTweetPage(Math.min(this.pageSize, this.options.maxTweets - tweets.size), cursor),
+          `fetching tweets for @${this.username}`
+        );
+        this.collectionStats.pages++;
+
+        let reachedKnownTweets = false;
+        let newInBatch = 0;
+        for (const tweet of page) {
+          if (this.isKnownTweet(tweet, latestKnown)) {
+            this.collectionStats.alreadySeen++;
+            reachedKnownTweets = true;
+          } else if (!tweets.has(tweet.id) && tweets.size < this.options.maxTweets) {
+            if (this.tweetFilter && !this.tweetFilter.test(tweet)) {
+              continue;
+            }
+            tweets.set(tweet.id, tweet);
+            newInBatch++;
+          }
+        }
+
+        const timestamps = page.map((t) => t.timestamp * 1000).filter(Boolean);
+        Logger.updateCollectionProgress({
+          totalCollected: tweets.size,
+          newInBatch,
+          batchSize: page.length,
+          oldestTweetDate: timestamps.length ? Math.min(...timestamps) : null,
+          newestTweetDate: timestamps.length ? Math.max(...timestamps) : null,
+          currentDelay,
+        });
+        Logger.debug(`Collected ${tweets.size} tweets for @${this.username} (page ${this.collectionStats.pages}).`);
+
+        if (reachedKnownTweets) {
+          Logger.info(`Reached previously collected tweets for @${this.username}, stopping.`);
+          break;
+        }
+        if (page.length === 0 || !next || next === cursor) {
+          break;
+        }
+        cursor = next;
 
-      for await (const tweet of searchResults) {
-        tweets.set(tweet.id, tweet);
-        if (tweets.size % 100 === 0) {
-          Logger.info(`Collected ${tweets.size} tweets for @${this.username}.`);
+        if (this.collectionStats.pages % this.options.checkpointInterval === 0) {
+          await this.saveCheckpoint(tweets, cursor, latestKnown);
         }
+
+        currentDelay = jitteredDelay(this.options.minDelay, this.options.maxDelay);
+        await sleep(currentDelay);
       }
     } catch (error) {
       Logger.error(`Error collecting tweets for @${this.username}: ${error.message}`);
+      this.recordError('collect', error);
+      this.interrupted = true;
+      await this.saveCheckpoint(tweets, cursor, latestKnown);
+      Logger.warn(`Progress saved. Run again with --resume to continue @${this.username} from run ${this.dataOrganizer.runId}.`);
     }
 
+    this.collectionStats.newTweets = tweets.size;
     Logger.success(`Collected ${tweets.size} tweets for @${this.username}.`);
+    if (this.options.incremental) {
+      Logger.stats(`Incremental Collection for @${this.username}`, {
+        'New Tweets': this.collectionStats.newTweets,
+        'Already Seen': this.collectionStats.alreadySeen,
+        'Pages Fetched': this.collectionStats.pages,
+        'Last Known Tweet': this.collectionStats.lastKnownTweetId || 'N/A',
+      });
+    }
+    if (this.tweetFilter) {
+      const { rejected, totalRejected } = this.tweetFilter.getSummary();
+      Logger.stats(`Filtered Tweets for @${this.username}`, {
+        'Total Rejected': totalRejected,
+        ...rejected,
+      });
+    }
     return Array.from(tweets.values());
   }
 
-  async processAndSaveTweets(tweets) {
+  /**
+   * Fetches the tweets the user's replies respond to, walking up each thread, and
+   * optionally the rest of each conversation by its conversationId.
+   * @param {object[]} tweets - The user's collected tweets.
+   * @returns {Promise<object[]>} contextTweets - Parent and conversation tweets.
+   */
+  async collectThreadContext(tweets) {
+    const collected = new Map(tweets.map((tweet) => [tweet.id, tweet]));
+    const context = new Map();
+    const unavailable = new Set();
+    const pending = tweets
+      .filter((tweet) => tweet.isReply && tweet.inReplyToStatusId)
+      .map((tweet) => ({ id: tweet.inReplyToStatusId, depth: 1 }));
+
+    Logger.info(`Fetching thread context for ${pending.length} replies by @${this.username}...`);
+
+    while (pending.length > 0 && context.size < this.options.maxContextTweets) {
+      const { id, depth } = pending.shift();
+      if (collected.has(id) || context.has(id) || unavailable.has(id)) continue;
+
+      try {
+        const parent = await this.withRetry(
+          () => this.source.getTweet(id),
+          `fetching parent tweet ${id}`
+        );
+        if (!parent) {
+          // Deleted or protected tweet
+          unavailable.add(id);
+        } else {
+          context.set(parent.id, parent);
+          if (parent.inReplyToStatusId && depth < this.options.threadDepth) {
+            pending.push({ id: parent.inReplyToStatusId, depth: depth + 1 });
+          }
+        }
+      } catch (error) {
+        Logger.warn(`Could not fetch parent tweet ${id}: ${error.message}`);
+        this.recordError('threads', error);
+        unavailable.add(id);
+      }
+
+      await sleep(jitteredDelay(this.options.minDelay, this.options.maxDelay));
+    }
+
+    if (this.options.conversations) {
+      const conversationIds = new Set(
+        [...tweets, ...context.values()]
+          .filter((tweet) => tweet.isReply && tweet.conversationId)
+          .map((tweet) => tweet.conversationId)
+      );
+
+      Logger.info(`Fetching ${conversationIds.size} conversations for @${this.username}...`);
+      for (const conversationId of conversationIds) {
+        if (context.size >= this.options.maxContextTweets) break;
+        try {
+          const { tweets: page } = await this.withRetry(
+            () => this.source.searchTweets(
+              `conversation_id:${conversationId}`,
+              this.pageSize,
+              SearchMode.Latest
+            ),
+            `fetching conversation ${conversationId}`
+          );
+          for (const tweet of page) {
+            if (!collected.has(tweet.id)) {
+              context.set(tweet.id, tweet);
+            }
+          }
+        } catch (error) {
+          Logger.warn(`Could not fetch conversation ${conversationId}: ${error.message}`);
+          this.recordError('conversations', error);
+        }
+
+        await sleep(jitteredDelay(this.options.minDelay, this.options.maxDelay));
+      }
+    }
+
+    this.collectionStats.contextTweets = context.size;
+    Logger.success(`Collected ${context.size} context tweets for @${this.username}.`);
+    return Array.from(context.values());
+  }
+
+  /**
+   * Collects tweets by other accounts that mention the user or reply to them.
+   * @returns {Promise<object[]>} inboundTweets - Tweets directed at the user, newest first.
+   */
+  async collectInboundTweets() {
+    const inbound = new Map();
+    const query = `(to:${this.username} OR @${this.username}) -from:${this.username}`;
+    let cursor;
+
+    Logger.info(`Collecting tweets directed at @${this.username}...`);
+    try {
+      while (inbound.size < this.options.maxInboundTweets) {
+        const { tweets: page, next } = await this.withRetry(
+          () => this.source.searchTweets(
+            query,
+            Math.min(this.pageSize, this.options.maxInboundTweets - inbound.size),
+            SearchMode.Latest,
+            cursor
+          ),
+          `fetching tweets directed at @${this.username}`
+        );
+        for (const tweet of page) {
+          if (
+            tweet.username?.toLowerCase() !== this.username.toLowerCase() &&
+            inbound.size < this.options.maxInboundTweets
+          ) {
+            inbound.set(tweet.id, tweet);
+          }
+        }
+        if (page.length === 0 || !next || next === cursor) {
+          break;
+        }
+        cursor = next;
+        await sleep(jitteredDelay(this.options.minDelay, this.options.maxDelay));
+      }
+    } catch (error) {
+      Logger.warn(`Could not fetch all tweets directed at @${this.username}: ${error.message}`);
+      this.recordError('inbound', error);
+    }
+
+    this.collectionStats.inboundTweets = inbound.size;
+    Logger.success(`Collected ${inbound.size} tweets directed at @${this.username}.`);
+    return Array.from(inbound.values());
+  }
+
+  /**
+   * Saves the tweets directed at the user and links them to the user's replies.
+   * @param {object[]} tweets - The user's collected tweets.
+   * @param {object[]} inboundTweets - Tweets mentioning or replying to the user.
+   */
+  async saveInboundTweets(tweets, inboundTweets) {
+    await this.saveToSinks('saveInboundTweets', tweets, inboundTweets);
+  }
+
+  /**
+   * Pages through a relationship timeline of the user, up to a cap.
+   * Errors end the stage early and keep the profiles collected so far.
+   * @param {string} method - Source method: getFollowers or getFollowing.
+   * @param {number} maxProfiles - Maximum number of profiles to collect.
+   * @param {string} description - Description of the relationship for logging.
+   * @returns {Promise<object[]>} profiles - Collected profiles.
+   */
+  async collectRelationships(method, maxProfiles, description) {
+    const profiles = new Map();
+    let cursor;
+
+    try {
+      while (profiles.size < maxProfiles) {
+        const { profiles: page, next } = await this.withRetry(
+          () => this.source[method](
+            this.profile.userId,
+            Math.min(this.pageSize, maxProfiles - profiles.size),
+            cursor
+          ),
+          `fetching ${description} of @${this.username}`
+        );
+        for (const profile of page) {
+          if (profile.userId && profiles.size < maxProfiles) {
+            profiles.set(profile.userId, profile);
+          }
+        }
+        if (page.length === 0 || !next || next === cursor) {
+          break;
+        }
+        cursor = next;
+        await sleep(jitteredDelay(this.options.minDelay, this.options.maxDelay));
+      }
+    } catch (error) {
+      Logger.warn(`Could not fetch all ${description} of @${this.username}: ${error.message}`);
+      this.recordError('graph', error);
+    }
+
+    Logger.info(`Collected ${profiles.size} ${description} of @${this.username}.`);
+    return Array.from(profiles.values());
+  }
+
+  /**
+   * Collects the user's followers and followed accounts.
+   * @returns {Promise<{followers: object[], following: object[]}|null>} graph - Profiles on each
+   *   side of the user, or null if the user's id is unknown.
+   */
+  async collectFollowGraph() {
+    if (!this.profile?.userId) {
+      Logger.warn(`Skipping follow graph for @${this.username}: user id unknown.`);
+      return null;
+    }
+
+    Logger.info(`Collecting follow graph for @${this.username}...`);
+    const graph = {
+      followers: await this.collectRelationships('getFollowers', this.options.maxFollowers, 'followers'),
+      following: await this.collectRelationships('getFollowing', this.options.maxFollowing, 'followed accounts'),
+    };
+    this.collectionStats.graph = {
+      followers: graph.followers.length,
+      following: graph.following.length,
+    };
+    return graph;
+  }
+
+  /**
+   * Saves the follow graph as run exports and as edges in the database.
+   * @param {{followers: object[], following: object[]}} graph - Followers and followed accounts.
+   */
+  async saveFollowGraph(graph) {
+    await this.saveToSinks('saveFollowGraph', this.profile, graph);
+  }
+
+  /**
+   * Downloads the photos and videos of the user's tweets into the run's raw/media directory.
+   * @param {object[]} tweets - The user's collected tweets.
+   */
+  async archiveMedia(tweets) {
+    Logger.info(`Archiving media for @${this.username}...`);
+    const archiver = new MediaArchiver(this.dataOrganizer.getPaths().raw.media, {
+      maxFileSize: this.options.mediaMaxFileSize,
+      maxTotalSize: this.options.mediaMaxTotalSize,
+    });
+    const manifest = await archiver.archiveTweets(tweets);
+    await this.dataOrganizer.saveMediaManifest(manifest);
+    this.collectionStats.media = archiver.stats;
+  }
+
+  /**
+   * Saves the profile fetched during collection to the run's meta directory and the profile history table.
+   */
+  async saveProfile() {
+    await this.saveToSinks('saveProfile', this.profile);
+  }
+
+  async processAndSaveTweets(tweets, contextTweets = []) {
     if (tweets.length === 0) {
-      Logger.warn(`No tweets found for @${this.username}.`);
+      Logger.warn(
+        this.options.incremental
+          ? `No new tweets found for @${this.username} since the last run.`
+          : `No tweets found for @${this.username}.`
+      );
       return;
     }
 
-    // Save to JSON, text, and analytics
-    Logger.info(`Saving tweets for @${this.username} to files...`);
-    await this.dataOrganizer.saveTweets(tweets);
+    // Media goes into the run directory, so it is only archived along with the files
+    if (this.options.media && this.sinks.has('files')) {
+      await this.archiveMedia(tweets);
+    }
 
-    // Save to SQLite database
-    Logger.info(`Saving tweets for @${this.username} to database...`);
-    await this.databaseManager.saveTweets(tweets);
+    await this.saveToSinks('saveTweets', tweets, {
+      contextTweets,
+      metadata: {
+        collection: { incremental: this.options.incremental, ...this.collectionStats },
+        ...(this.tweetFilter && { filter: this.tweetFilter.getSummary() }),
+      },
+    });
+  }
 
-    // Save to linkace instance
-    Logger.info(`Saving tweets for @${this.username} to linkace...`);
-    await this.linkaceManager.saveTweets(tweets, this.username);
+  /**
+   * Builds the provenance record of the run written to meta/run.json.
+   * @param {object} result - Outcome of the run.
+   * @param {number} startTime - Start of the run (ms).
+   * @returns {object} manifest
+   */
+  createRunManifest(result, startTime) {
+    const { filter, ...config } = this.options;
+    return {
+      name: this.username,
+      runId: this.dataOrganizer.runId,
+      status: result.status,
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: new Date(startTime + result.duration).toISOString(),
+      durationMs: result.duration,
+      argv: process.argv.slice(2),
+      config,
+      filter: this.tweetFilter?.getSummary() || null,
+      build: getBuildInfo(),
+      source: { ...this.source.describe(), accountsUsed: [...this.accountsUsed] },
+      counts: {
+        collected: result.tweets,
+        ...this.collectionStats,
+      },
+      errors: this.errors,
+    };
   }
 
+  /**
+   * Runs the full pipeline for the user.
+   * @returns {Promise<{username: string, status: string, tweets: number, duration: number, error: string|null}>}
+   *   result - Outcome of the run; status is success, interrupted or failed.
+   */
   async run() {
     Logger.info(`Running pipeline for @${this.username}...`);
+    const startTime = Date.now();
+    const result = { username: this.username, status: 'success', tweets: 0, duration: 0, error: null };
 
     try {
-      await this.verifyScraperSession();
+      await this.verifySession();
       const tweets = await this.collectTweets();
-      await this.processAndSaveTweets(tweets);
+      result.tweets = tweets.length;
+      if (this.profile) {
+        await this.saveProfile();
+      }
+      const contextTweets = this.options.threads || this.options.conversations
+        ? await this.collectThreadContext(tweets)
+        : [];
+      const graph = this.options.graph ? await this.collectFollowGraph() : null;
+      if (graph) {
+        await this.saveFollowGraph(graph);
+      }
+      const inboundTweets = this.options.inbound ? await this.collectInboundTweets() : [];
+      await this.processAndSaveTweets(tweets, contextTweets);
+      if (inboundTweets.length > 0) {
+        await this.saveInboundTweets(tweets, inboundTweets);
+      }
+      if (!this.interrupted) {
+        await this.dataOrganizer.completeCheckpoint();
+      } else {
+        result.status = 'interrupted';
+      }
 
       Logger.success(`Pipeline completed for @${this.username}.`);
     } catch (error) {
       Logger.error(`Pipeline failed for @${this.username}: ${error.message}`);
+      this.recordError('pipeline', error);
+      result.status = 'failed';
+      result.error = error.message;
+    }
+    // Data a sink didn't store is missing from it, so the run doesn't count as a success
+    if (this.sinkFailure && result.status === 'success') {
+      result.status = 'failed';
+      result.error = this.sinkFailure;
+    }
+
+    result.duration = Date.now() - startTime;
+    const manifest = this.createRunManifest(result, startTime);
+    if ((await this.saveToSinks('saveRun', manifest)).length > 0 && result.status === 'success') {
+      result.status = manifest.status = 'failed';
+      result.error = this.sinkFailure;
+    }
+    try {
+      await this.dataOrganizer.saveRunManifest(manifest);
+    } catch {
+      // Already logged, the manifest doesn't change the outcome of the run
+    }
+    await this.dataOrganizer.removeEmptyDirectories();
+    if (result.status === 'success' && result.tweets > 0 && this.sinks.has('files')) {
+      await this.dataOrganizer.linkLatest();
     }
+    return result;
   }
 }
 
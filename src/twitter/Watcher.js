@@ -0,0 +1,134 @@
+// src/twitter/Watcher.js
+import Logger from './Logger.js';
+import DatabaseManager from './DatabaseManager.js';
+import { getEnvInt, runWithConcurrency } from './utils.js';
+
+/**
+ * Long-running scheduler that re-scrapes every handle of a watchlist on its own interval.
+ *
+ * The schedule lives in the `watch_schedule` table, so it survives restarts. Users whose
+ * runs keep failing or getting interrupted are backed off by doubling their interval.
+ */
+class Watcher {
+  /**
+   * @param {{username: string, interval: number}[]} watchlist - Handles and their interval in minutes.
+   * @param {Function} runUser - Async function running the pipeline for a handle and resolving to its result.
+   * @param {object} [options]
+   * @param {number} [options.concurrency] - Number of due handles scraped in parallel.
+   * @param {number} [options.maxBackoff] - Longest delay before retrying a failing handle (minutes).
+   * @param {number} [options.pollInterval] - Longest sleep between schedule checks (ms).
+   */
+  constructor(watchlist, runUser, {
+    concurrency = 1,
+    maxBackoff = getEnvInt('WATCH_MAX_BACKOFF', 24 * 60),
+    pollInterval = 60 * 1000,
+  } = {}) {
+    this.watchlist = watchlist;
+    this.runUser = runUser;
+    this.concurrency = concurrency;
+    this.maxBackoff = maxBackoff;
+    this.pollInterval = pollInterval;
+    this.databaseManager = DatabaseManager.getInstance(); // Singleton instance
+    this.stopped = false;
+    this.wakeUp = null;
+    this.unsavedRuns = new Map(); // Next run of users whose schedule update failed, by username
+  }
+
+  /**
+   * Computes when a user runs next.
+   * The user's interval doubles with each consecutive failed or interrupted run, up to
+   * maxBackoff, and goes back to normal after a successful run.
+   * @param {object} entry - Schedule row of the user.
+   * @param {number} failures - Consecutive failed runs, including the last one.
+   * @returns {number} nextRunAt - Time of the next run (unix seconds).
+   */
+  getNextRunAt(entry, failures) {
+    const interval = entry.interval_minutes;
+    const minutes = Math.max(interval, Math.min(interval * 2 ** failures, this.maxBackoff));
+    return Math.floor(Date.now() / 1000) + minutes * 60;
+  }
+
+  /**
+   * Scrapes the due users until stop() is called.
+   */
+  async run() {
+    await this.databaseManager.syncWatchSchedule(this.watchlist);
+    Logger.info(`👀 Watching ${this.watchlist.length} handles. Press Ctrl+C to stop.`);
+
+    while (!this.stopped) {
+      const now = Math.floor(Date.now() / 1000);
+      const due = (await this.databaseManager.getDueWatchUsers(now))
+        .filter((entry) => !(this.unsavedRuns.get(entry.username) > now));
+
+      if (due.length > 0) {
+        Logger.info(`Scraping ${due.length} due handles: ${due.map((entry) => `@${entry.username}`).join(', ')}`);
+        await runWithConcurrency(due, this.concurrency, (entry) =>
+          Logger.withUser(entry.username, () => this.runEntry(entry))
+        );
+        continue;
+      }
+
+      const schedule = await this.databaseManager.getWatchSchedule();
+      const nextRunAt = Math.min(
+        ...schedule.map((entry) => this.unsavedRuns.get(entry.username) ?? entry.next_run_at)
+      );
+      const delay = Math.max(1000, Math.min((nextRunAt - now) * 1000, this.pollInterval));
+      Logger.debug(`Next scheduled run in ${Math.round((nextRunAt - now) / 60)} minutes.`);
+      await this.wait(delay);
+    }
+
+    Logger.info('Watch mode stopped.');
+  }
+
+  /**
+   * Runs a due user and schedules its next run.
+   * @param {object} entry - Schedule row of the user.
+   */
+  async runEntry(entry) {
+    if (this.stopped) return;
+
+    const result = await this.runUser(entry.username);
+    const failures = result.status === 'success' ? 0 : entry.consecutive_failures + 1;
+    const nextRunAt = this.getNextRunAt(entry, failures);
+    try {
+      await this.databaseManager.recordWatchRun(entry.username, result, nextRunAt, failures);
+      this.unsavedRuns.delete(entry.username);
+    } catch (error) {
+      // Keep the next run in memory so the user isn't scraped again right away
+      this.unsavedRuns.set(entry.username, nextRunAt);
+      Logger.error(`Could not save the watch schedule of @${entry.username}: ${error.message}`);
+    }
+
+    const next = new Date(nextRunAt * 1000).toLocaleString();
+    if (failures > 0) {
+      Logger.warn(`@${entry.username} ${result.status} (${failures} in a row), retrying at ${next}.`);
+    } else {
+      Logger.success(`✅ @${entry.username} collected ${result.tweets} tweets, next run at ${next}.`);
+    }
+  }
+
+  /**
+   * Sleeps until the delay elapses or the watcher is stopped.
+   * @param {number} ms - Delay in milliseconds.
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Stops the watcher once the runs in progress have finished.
+   */
+  stop() {
+    this.stopped = true;
+    this.wakeUp?.();
+  }
+}
+
+export default Watcher;
@@ -0,0 +1,304 @@
+// src/twitter/cli.js
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import SinkRegistry from './sinks/SinkRegistry.js';
+
+const GLOBAL_OPTIONS = {
+  'output-dir': { type: 'string', default: 'pipeline' },
+  db: { type: 'string', default: 'tweets.db' },
+  'log-level': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const COLLECT_OPTIONS = {
+  sinks: { type: 'string' },
+  fixtures: { type: 'string' },
+  record: { type: 'string' },
+  incremental: { type: 'boolean', default: false },
+  resume: { type: 'boolean', default: false },
+  threads: { type: 'boolean', default: false },
+  conversations: { type: 'boolean', default: false },
+  media: { type: 'boolean', default: false },
+  'media-max-file-mb': { type: 'string' },
+  'media-max-total-mb': { type: 'string' },
+  filter: { type: 'string' },
+  'tweet-types': { type: 'string' },
+  'content-types': { type: 'string' },
+  'min-likes': { type: 'string' },
+  'min-retweets': { type: 'string' },
+  'start-date': { type: 'string' },
+  'end-date': { type: 'string' },
+  'exclude-keywords': { type: 'string' },
+};
+
+const SCRAPE_OPTIONS = {
+  concurrency: { type: 'string' },
+  ...COLLECT_OPTIONS,
+  inbound: { type: 'boolean', default: false },
+  'max-inbound': { type: 'string' },
+  graph: { type: 'boolean', default: false },
+  'max-followers': { type: 'string' },
+  'max-following': { type: 'string' },
+};
+
+const WATCH_OPTIONS = {
+  interval: { type: 'string' },
+  ...SCRAPE_OPTIONS,
+};
+
+const IMPORT_OPTIONS = {
+  sinks: COLLECT_OPTIONS.sinks,
+  filter: COLLECT_OPTIONS.filter,
+  'tweet-types': COLLECT_OPTIONS['tweet-types'],
+  'content-types': COLLECT_OPTIONS['content-types'],
+  'min-likes': COLLECT_OPTIONS['min-likes'],
+  'min-retweets': COLLECT_OPTIONS['min-retweets'],
+  'start-date': COLLECT_OPTIONS['start-date'],
+  'end-date': COLLECT_OPTIONS['end-date'],
+  'exclude-keywords': COLLECT_OPTIONS['exclude-keywords'],
+};
+
+const SEARCH_OPTIONS = {
+  list: { type: 'string' },
+  ...COLLECT_OPTIONS,
+};
+
+const FIND_OPTIONS = {
+  user: { type: 'string' },
+  'start-date': COLLECT_OPTIONS['start-date'],
+  'end-date': COLLECT_OPTIONS['end-date'],
+  sort: { type: 'string', default: 'relevance' },
+  limit: { type: 'string' },
+};
+
+const EXPORT_OPTIONS = {
+  format: { type: 'string' },
+  user: FIND_OPTIONS.user,
+  'start-date': COLLECT_OPTIONS['start-date'],
+  'end-date': COLLECT_OPTIONS['end-date'],
+  query: { type: 'string' },
+  match: { type: 'string' },
+};
+
+const QUERY_OPTIONS = {
+  format: EXPORT_OPTIONS.format,
+};
+
+// Flags taking a whole number, with the smallest value each accepts
+const INTEGER_FLAGS = {
+  concurrency: 1,
+  interval: 1,
+  limit: 1,
+  'media-max-file-mb': 0,
+  'media-max-total-mb': 0,
+  'max-inbound': 0,
+  'max-followers': 0,
+  'max-following': 0,
+};
+
+export const COMMANDS = {
+  scrape: {
+    usage: 'scrape <handle...> [options]',
+    description: 'Scrape tweets for one or more Twitter handles.',
+    options: SCRAPE_OPTIONS,
+  },
+  'scrape-list': {
+    usage: 'scrape-list [file] [options]',
+    description: 'Scrape every handle listed in a file, one per line (default: usernames.txt).',
+    options: SCRAPE_OPTIONS,
+  },
+  watch: {
+    usage: 'watch [file] [options]',
+    description: 'Keep re-scraping every handle in a file on a schedule (default: usernames.txt).',
+    options: WATCH_OPTIONS,
+  },
+  search: {
+    usage: 'search <expression> [options]',
+    description: 'Collect the tweets matching a search expression, or the tweets of a list with --list.',
+    options: SEARCH_OPTIONS,
+  },
+  import: {
+    usage: 'import <archive-dir...> [options]',
+    description: 'Import extracted Twitter/X account archives without scraping.',
+    options: IMPORT_OPTIONS,
+  },
+  find: {
+    usage: 'find <text> [options]',
+    description: 'Full-text search of the tweets stored in the database.',
+    options: FIND_OPTIONS,
+  },
+  export: {
+    usage: 'export <file> [options]',
+    description: 'Export the tweets in the database to a CSV, JSONL or Parquet file.',
+    options: EXPORT_OPTIONS,
+  },
+  diff: {
+    usage: 'diff <handle> [from] [to]',
+    description: 'Compare two runs of a handle (default: its two latest successful runs) into a report.',
+    options: {},
+  },
+  status: {
+    usage: 'status [handle...] [options]',
+    description: 'Show past runs for the given handles, or for every handle in the output directory.',
+    options: {},
+  },
+  query: {
+    usage: 'query <sql|name> [param=value]',
+    description: 'Run read-only SQL or a saved query against the database; no argument lists saved queries.',
+    options: QUERY_OPTIONS,
+  },
+};
+
+const OPTION_HELP = {
+  'output-dir': 'Directory where run outputs are written (default: pipeline)',
+  db: 'Path to the SQLite database (default: tweets.db)',
+  'log-level': 'Minimum log level: debug, info, warn, error (default: info)',
+  help: 'Show help',
+  sinks: `Comma-separated storage sinks to enable: ${SinkRegistry.getNames().join(', ')} (default: SINKS or all)`,
+  interval: 'Minutes between runs of handles without their own interval (default: WATCH_INTERVAL or 360)',
+  fixtures: 'Replay responses recorded in this directory instead of scraping (no login needed)',
+  record: 'Record every scraper response into this directory for --fixtures',
+  incremental: 'Only collect tweets newer than the newest stored tweet',
+  resume: 'Continue the latest interrupted run instead of starting a new one',
+  concurrency: 'Number of handles scraped in parallel (default: CONCURRENCY or 1)',
+  threads: 'Fetch the tweets that replies respond to',
+  conversations: 'Also fetch the full conversation of each reply',
+  media: 'Download photos and videos into raw/media of the run directory',
+  'media-max-file-mb': 'Largest media file downloaded, in MB (default: MEDIA_MAX_FILE_MB or 50)',
+  'media-max-total-mb': 'Media downloaded per user, in MB (default: MEDIA_MAX_TOTAL_MB or 1024)',
+  list: 'Collect the tweets of this Twitter list id instead of a search',
+  inbound: 'Also collect tweets mentioning or replying to each handle',
+  'max-inbound': 'Inbound tweets collected per user with --inbound (default: MAX_INBOUND_TWEETS or 500)',
+  graph: 'Collect followers and followed accounts into the database and exports',
+  'max-followers': 'Followers collected per user with --graph (default: MAX_FOLLOWERS or 1000)',
+  'max-following': 'Followed accounts collected per user with --graph (default: MAX_FOLLOWING or 1000)',
+  user: 'Only include the tweets of this handle',
+  format: 'export: csv, jsonl or parquet (default: from the file extension); query: table, json or csv (default: table)',
+  query: 'Only export the tweets collected for this search expression (list:<id> for lists)',
+  match: 'Only export the tweets matching this full-text query',
+  sort: 'Order of the results: relevance, engagement or date (default: relevance)',
+  limit: 'Maximum number of results (default: 20)',
+  filter: 'JSON file with tweet filter options',
+  'tweet-types': 'Tweet types to keep: original, replies, quotes, retweets',
+  'content-types': 'Content types to keep: text, images, videos, links',
+  'min-likes': 'Minimum number of likes',
+  'min-retweets': 'Minimum number of retweets',
+  'start-date': 'Only keep tweets from this date on (YYYY-MM-DD)',
+  'end-date': 'Only keep tweets up to this date (YYYY-MM-DD)',
+  'exclude-keywords': 'Comma-separated keywords to exclude',
+};
+
+/**
+ * Parses the twitter command line.
+ * A first argument that is not a known command is treated as a handle for `scrape`,
+ * and no arguments at all scrape the default usernames file. Whole-number flags are
+ * validated and converted to numbers.
+ * @param {string[]} argv - Command-line arguments (without node and the script path).
+ * @returns {{command: string|null, positionals: string[], flags: object}} - The command is null
+ *   when general help was requested.
+ */
+export function parseCli(argv) {
+  const allOptions = Object.values(COMMANDS).reduce(
+    (options, definition) => ({ ...options, ...definition.options }),
+    { ...GLOBAL_OPTIONS }
+  );
+
+  const { values: flags, positionals: args } = parseArgs({
+    args: argv,
+    options: allOptions,
+    allowPositionals: true,
+  });
+
+  let command = 'scrape-list';
+  let positionals = args;
+  if (COMMANDS[args[0]]) {
+    command = args[0];
+    positionals = args.slice(1);
+  } else if (args.length > 0) {
+    command = 'scrape';
+  }
+
+  if (flags.help) {
+    // Show the general help unless a command was named explicitly
+    return { command: COMMANDS[args[0]] ? command : null, positionals, flags };
+  }
+
+  const sinks = SinkRegistry.getNames();
+  flags.sinks = (flags.sinks || process.env.SINKS || sinks.join(','))
+    .split(',')
+    .map((sink) => sink.trim())
+    .filter(Boolean);
+  const unknown = flags.sinks.filter((sink) => !sinks.includes(sink));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sinks: ${unknown.join(', ')}. Available sinks: ${sinks.join(', ')}.`);
+  }
+
+  for (const [name, min] of Object.entries(INTEGER_FLAGS)) {
+    if (flags[name] === undefined) continue;
+    const value = flags[name].trim();
+    if (!/^\d+$/.test(value) || Number(value) < min) {
+      throw new Error(`--${name} must be a whole number of at least ${min}, got "${flags[name]}".`);
+    }
+    flags[name] = Number(value);
+  }
+
+  if (flags.fixtures && flags.record) {
+    throw new Error('--fixtures and --record cannot be used together.');
+  }
+
+  if (command === 'scrape' && positionals.length === 0) {
+    throw new Error('Please provide at least one handle to scrape.');
+  }
+  if (command === 'search' && positionals.length === 0 && !flags.list) {
+    throw new Error('Please provide a search expression or a --list id.');
+  }
+  if (command === 'import' && positionals.length === 0) {
+    throw new Error('Please provide the directory of an extracted archive.');
+  }
+  if (command === 'find' && positionals.length === 0) {
+    throw new Error('Please provide the text to search for.');
+  }
+  if (command === 'export' && positionals.length === 0) {
+    throw new Error('Please provide the file to export to.');
+  }
+  if (command === 'diff' && (positionals.length === 0 || positionals.length > 3)) {
+    throw new Error('Please provide a handle, and optionally the ids of the runs to compare.');
+  }
+
+  return { command, positionals, flags };
+}
+
+/**
+ * Prints usage for a command, or for the whole CLI.
+ * @param {string} [command] - Command to describe.
+ */
+export function printHelp(command) {
+  const formatOptions = (options) =>
+    Object.entries(options)
+      .map(([name, option]) => {
+        const flag = `--${name}${option.type === 'string' ? ' <value>' : ''}`;
+        return `  ${flag.padEnd(28)}${OPTION_HELP[name] || ''}`;
+      })
+      .join('\n');
+
+  const lines = [];
+  if (command && COMMANDS[command]) {
+    lines.push(chalk.bold(`Usage: npm run twitter -- ${COMMANDS[command].usage}`), '');
+    lines.push(COMMANDS[command].description, '');
+    if (Object.keys(COMMANDS[command].options).length > 0) {
+      lines.push(chalk.bold('Options:'), formatOptions(COMMANDS[command].options), '');
+    }
+  } else {
+    lines.push(chalk.bold('Usage: npm run twitter -- <command> [options]'), '');
+    lines.push(chalk.bold('Commands:'));
+    for (const definition of Object.values(COMMANDS)) {
+      lines.push(`  ${definition.usage.padEnd(34)}${definition.description}`);
+    }
+    lines.push('', 'Without a command, `npm run twitter -- <handle...>` scrapes the given handles');
+    lines.push('and `npm run twitter` scrapes every handle in usernames.txt.', '');
+    lines.push('Run `npm run twitter -- <command> --help` for command options.', '');
+  }
+  lines.push(chalk.bold('Global options:'), formatOptions(GLOBAL_OPTIONS));
+
+  console.log(lines.join('\n'));
+}
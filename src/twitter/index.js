@@ -3,11 +3,25 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import fs from 'fs/promises';
+import chalk from 'chalk';
+import { addDays, format, isValid, parseISO } from 'date-fns';
 import TwitterPipeline from './TwitterPipeline.js';
+import QueryPipeline from './QueryPipeline.js';
+import ArchiveImporter from './ArchiveImporter.js';
+import TweetExporter, { EXPORT_FORMATS } from './TweetExporter.js';
+import RunDiff from './RunDiff.js';
+import Watcher from './Watcher.js';
+import DataOrganizer from './DataOrganizer.js';
+import TweetFilter from './TweetFilter.js';
 import Logger from './Logger.js';
 import DatabaseManager from './DatabaseManager.js';
-import LinkaceManager from './LinkaceManager.js';
-import { Scraper } from 'agent-twitter-client';
+import SinkRegistry from './sinks/SinkRegistry.js';
+import ScraperPool from './ScraperPool.js';
+import FixtureSource from './sources/FixtureSource.js';
+import RecordingSource from './sources/RecordingSource.js';
+import { parseQueryArgs, printNamedQueries, runQuery } from './QueryDatabase.js';
+import { parseCli, printHelp } from './cli.js';
+import { getEnvInt, runWithConcurrency } from './utils.js';
 
 process.on('unhandledRejection', (error) => {
   Logger.error(`❌ Unhandled promise rejection: ${error.message}`);
@@ -27,7 +41,8 @@ process.on('uncaughtException', (error) => {
 async function scrapeUsernamesFromFile(filePath) {
   try {
     const data = await fs.readFile(filePath, 'utf-8');
-    const usernames = data.split('\n').map((name) => name.trim()).filter(Boolean);
+    // Lines may carry a watch interval after the handle, see readWatchlist()
+    const usernames = [...new Set(data.split('\n').map((line) => line.trim().split(/\s+/)[0]).filter(Boolean))];
     if (usernames.length === 0) {
       throw new Error('No usernames found in the file.');
     }
@@ -39,76 +54,649 @@ async function scrapeUsernamesFromFile(filePath) {
 }
 
 /**
- * Initializes and authenticates a shared scraper.
- * @returns {Promise<Scraper>} - Authenticated scraper instance.
+ * Reads a watchlist: one handle per line, optionally followed by its interval in minutes.
+ * @param {string} filePath - Path to the watchlist file.
+ * @param {number} defaultInterval - Interval of handles without one (minutes).
+ * @returns {Promise<{username: string, interval: number}[]>} - Watched handles.
  */
-async function initializeScraper() {
-  const scraper = new Scraper();
-  Logger.info('Initializing shared scraper...');
+async function readWatchlist(filePath, defaultInterval) {
   try {
-    if (await scraper.isLoggedIn()) {
-      Logger.success('✅ Scraper is already authenticated.');
-      return scraper;
+    const data = await fs.readFile(filePath, 'utf-8');
+    const watchlist = new Map();
+    for (const line of data.split('\n')) {
+      const [handle, interval] = line.trim().split(/\s+/);
+      if (!handle) continue;
+      const username = handle.replace(/^@/, '');
+      watchlist.set(username.toLowerCase(), {
+        username,
+        interval: Math.max(1, parseInt(interval, 10) || defaultInterval),
+      });
+    }
+    if (watchlist.size === 0) {
+      throw new Error('No usernames found in the file.');
     }
+    return [...watchlist.values()];
+  } catch (error) {
+    Logger.error(`Failed to read watchlist: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Initializes and authenticates the shared pool of scraper accounts.
+ * @returns {Promise<ScraperPool>} - Pool of authenticated scrapers.
+ */
+async function initializeScraperPool() {
+  Logger.info('Initializing shared scraper pool...');
+  try {
+    const accounts = await ScraperPool.loadAccounts();
+    const scraperPool = new ScraperPool(accounts);
+    await scraperPool.initialize();
+    return scraperPool;
+  } catch (error) {
+    Logger.error(`Failed to initialize scraper: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Creates the source pipelines read from: recorded fixtures with --fixtures, otherwise
+ * the scraper pool, recording its responses with --record.
+ * @param {object} flags - Parsed command-line flags.
+ * @returns {Promise<TweetSource>} - Tweet source shared by all pipelines.
+ */
+async function createSource(flags) {
+  if (flags.fixtures) {
+    Logger.info(`Replaying recorded responses from ${flags.fixtures}...`);
+    return new FixtureSource(flags.fixtures);
+  }
+
+  const scraperPool = await initializeScraperPool();
+  if (flags.record) {
+    Logger.info(`Recording responses to ${flags.record}...`);
+    return new RecordingSource(scraperPool, flags.record);
+  }
+  return scraperPool;
+}
 
-    Logger.info('Logging in to Twitter...');
-    const username = process.env.TWITTER_USERNAME;
-    const password = process.env.TWITTER_PASSWORD;
-    const email = process.env.TWITTER_EMAIL;
+/**
+ * Builds a tweet filter from a JSON config file and/or command-line flags.
+ * Flags take precedence over values from the file.
+ * @param {object} flags - Parsed command-line flags.
+ * @returns {Promise<TweetFilter|null>} - Tweet filter, or null if no filtering was requested.
+ */
+async function createTweetFilter(flags) {
+  const overrides = Object.fromEntries(
+    Object.entries({
+      tweetTypes: flags['tweet-types'],
+      contentTypes: flags['content-types'],
+      minLikes: flags['min-likes'],
+      minRetweets: flags['min-retweets'],
+      startDate: flags['start-date'],
+      endDate: flags['end-date'],
+      keywordsToExclude: flags['exclude-keywords'],
+    }).filter(([, value]) => value !== undefined)
+  );
 
-    if (!username || !password || !email) {
-      throw new Error('Missing Twitter credentials. Please set TWITTER_USERNAME, TWITTER_PASSWORD, and TWITTER_EMAIL in the .env file.');
+  try {
+    if (flags.filter) {
+      return await TweetFilter.fromFile(flags.filter, overrides);
     }
+    if (Object.keys(overrides).length > 0) {
+      return new TweetFilter(TweetFilter.normalizeOptions(overrides));
+    }
+    return null;
+  } catch (error) {
+    Logger.error(`Invalid tweet filter: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Maps command-line flags to pipeline options.
+ * @param {object} flags - Parsed command-line flags.
+ * @returns {object} options - TwitterPipeline options.
+ */
+function getPipelineOptions(flags) {
+  return {
+    outputDir: flags['output-dir'],
+    sinks: flags.sinks,
+    incremental: flags.incremental,
+    threads: flags.threads,
+    conversations: flags.conversations,
+    media: flags.media,
+    ...(flags['media-max-file-mb'] !== undefined && { mediaMaxFileSize: flags['media-max-file-mb'] * 1024 * 1024 }),
+    ...(flags['media-max-total-mb'] !== undefined && { mediaMaxTotalSize: flags['media-max-total-mb'] * 1024 * 1024 }),
+    inbound: flags.inbound,
+    ...(flags['max-inbound'] !== undefined && { maxInboundTweets: flags['max-inbound'] }),
+    graph: flags.graph,
+    ...(flags['max-followers'] !== undefined && { maxFollowers: flags['max-followers'] }),
+    ...(flags['max-following'] !== undefined && { maxFollowing: flags['max-following'] }),
+    // Recorded responses don't need to be paced
+    ...(flags.fixtures && { minDelay: 0, maxDelay: 0, retryDelay: 0 }),
+  };
+}
 
-    await scraper.login(username, password, email);
-    if (!(await scraper.isLoggedIn())) {
-      throw new Error('Login verification failed.');
+/**
+ * Runs the pipeline for a single user.
+ * @param {string} username - Twitter handle.
+ * @param {TweetSource} source - Shared tweet source.
+ * @param {object} flags - Parsed command-line flags.
+ * @param {TweetFilter|null} tweetFilter - Filter template shared by all users.
+ * @returns {Promise<object>} - Pipeline result.
+ */
+async function scrapeUser(username, source, flags, tweetFilter) {
+  Logger.updateUser({ status: 'running' });
+  try {
+    let runId = null;
+    if (flags.resume) {
+      runId = await DataOrganizer.findResumableRun(flags['output-dir'], username);
+      if (runId) {
+        Logger.info(`Resuming interrupted run ${runId} for @${username}.`);
+      } else {
+        Logger.info(`No interrupted run found for @${username}, starting a new one.`);
+      }
     }
 
-    Logger.success('✅ Successfully authenticated with Twitter.');
-    return scraper;
+    const pipeline = new TwitterPipeline(username, source, {
+      ...getPipelineOptions(flags),
+      runId,
+      // Each user gets its own filter so rejection counts are per run
+      filter: tweetFilter && new TweetFilter(tweetFilter.options),
+    });
+
+    const result = await pipeline.run();
+    Logger.updateUser({ status: result.status, collected: result.tweets });
+    return result;
   } catch (error) {
-    Logger.error(`Failed to initialize scraper: ${error.message}`);
-    process.exit(1);
+    Logger.error(`Failed to scrape tweets for @${username}: ${error.message}`);
+    Logger.updateUser({ status: 'failed' });
+    return { username, status: 'failed', tweets: 0, duration: 0, error: error.message };
   }
 }
 
 /**
- * Main function to scrape tweets for multiple users.
+ * Prints the per-user outcome of a scraping session.
+ * @param {object[]} results - Pipeline results.
  */
-async function main() {
-  const filePath = 'usernames.txt'; // Path to your usernames file
-  const usernames = await scrapeUsernamesFromFile(filePath);
+function printResults(results) {
+  const statusColors = {
+    success: chalk.green,
+    interrupted: chalk.yellow,
+    failed: chalk.red,
+  };
 
-  const scraper = await initializeScraper();
+  Logger.table(
+    'Scrape Results',
+    ['User', 'Status', 'Tweets', 'Duration', 'Error'],
+    results.map((result) => [
+      `@${result.username}`,
+      statusColors[result.status](result.status),
+      result.tweets,
+      `${Math.round(result.duration / 1000)}s`,
+      result.error || '',
+    ])
+  );
+}
+
+/**
+ * Scrapes tweets for multiple users.
+ * @param {string[]} usernames - Twitter handles to scrape.
+ * @param {object} flags - Parsed command-line flags.
+ */
+async function scrapeUsers(usernames, flags) {
+  const tweetFilter = await createTweetFilter(flags);
+
+  const source = await createSource(flags);
 
   // Initialize the database manager (singleton)
-  const databaseManager = DatabaseManager.getInstance();
+  const databaseManager = DatabaseManager.getInstance(flags.db);
   await databaseManager.initialize();
 
-  // Initialize the linkace manager (singleton)
-  const linkaceManager = LinkaceManager.getInstance();
-  await linkaceManager.initialize();
+  // Initialize the storage sinks, disabling the ones that aren't configured
+  flags.sinks = await SinkRegistry.initialize(flags.sinks);
 
-  try {
-    for (const username of usernames) {
-      const pipeline = new TwitterPipeline(username, scraper);
+  const concurrency = flags.concurrency ?? getEnvInt('CONCURRENCY', 1, 1);
 
-      try {
-        await pipeline.run();
-      } catch (error) {
-        Logger.error(`Failed to scrape tweets for @${username}: ${error.message}`);
-      }
+  try {
+    if (concurrency > 1) {
+      Logger.startDashboard(usernames);
     }
 
+    const results = await runWithConcurrency(usernames, concurrency, (username) =>
+      Logger.withUser(username, () => scrapeUser(username, source, flags, tweetFilter))
+    );
+
+    Logger.stopDashboard();
+    printResults(results);
     Logger.success('✅ Completed scraping for all users.');
   } catch (error) {
+    Logger.stopDashboard();
     Logger.error(`Unexpected error during execution: ${error.message}`);
   } finally {
+    // Report account usage and persist refreshed sessions
+    source.printReport();
+    await source.close();
     // Close the database connection
     await databaseManager.close();
-    // Close the linkace connection
-    await linkaceManager.close();
+    await SinkRegistry.close(flags.sinks);
+  }
+}
+
+/**
+ * Re-scrapes the handles of a watchlist on their schedule until interrupted.
+ * Watched handles are always collected incrementally.
+ * @param {{username: string, interval: number}[]} watchlist - Watched handles.
+ * @param {object} flags - Parsed command-line flags.
+ */
+async function watchUsers(watchlist, flags) {
+  const tweetFilter = await createTweetFilter(flags);
+
+  const source = await createSource(flags);
+
+  const databaseManager = DatabaseManager.getInstance(flags.db);
+  await databaseManager.initialize();
+
+  // Initialize the storage sinks, disabling the ones that aren't configured
+  flags.sinks = await SinkRegistry.initialize(flags.sinks);
+
+  const watchFlags = { ...flags, incremental: true };
+  const watcher = new Watcher(
+    watchlist,
+    (username) => scrapeUser(username, source, watchFlags, tweetFilter),
+    { concurrency: flags.concurrency ?? getEnvInt('CONCURRENCY', 1, 1) }
+  );
+
+  const stop = () => {
+    Logger.warn('\n🛑 Stopping watch mode after the runs in progress...');
+    watcher.stop();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  try {
+    await watcher.run();
+  } catch (error) {
+    Logger.error(`Unexpected error during watch mode: ${error.message}`);
+  } finally {
+    source.printReport();
+    await source.close();
+    await databaseManager.close();
+    await SinkRegistry.close(flags.sinks);
+  }
+}
+
+/**
+ * Collects the tweets matching a search expression or the tweets of a list.
+ * @param {string} query - Search expression.
+ * @param {object} flags - Parsed command-line flags.
+ */
+async function scrapeQuery(query, flags) {
+  const tweetFilter = await createTweetFilter(flags);
+
+  const source = await createSource(flags);
+
+  const databaseManager = DatabaseManager.getInstance(flags.db);
+  await databaseManager.initialize();
+
+  // Initialize the storage sinks, disabling the ones that aren't configured
+  flags.sinks = await SinkRegistry.initialize(flags.sinks);
+
+  try {
+    const name = QueryPipeline.getName(flags.list ? `list:${flags.list}` : query);
+    let runId = null;
+    if (flags.resume) {
+      runId = await DataOrganizer.findResumableRun(flags['output-dir'], name);
+      if (runId) {
+        Logger.info(`Resuming interrupted run ${runId} for ${name}.`);
+      } else {
+        Logger.info(`No interrupted run found for ${name}, starting a new one.`);
+      }
+    }
+
+    const pipeline = new QueryPipeline(query, source, {
+      ...getPipelineOptions(flags),
+      listId: flags.list,
+      runId,
+      filter: tweetFilter,
+    });
+
+    printResults([await pipeline.run()]);
+  } catch (error) {
+    Logger.error(`Unexpected error during execution: ${error.message}`);
+  } finally {
+    source.printReport();
+    await source.close();
+    await databaseManager.close();
+    await SinkRegistry.close(flags.sinks);
+  }
+}
+
+/**
+ * Imports extracted Twitter/X account archives.
+ * @param {string[]} archiveDirs - Extracted archive directories.
+ * @param {object} flags - Parsed command-line flags.
+ */
+async function importArchives(archiveDirs, flags) {
+  const tweetFilter = await createTweetFilter(flags);
+
+  const databaseManager = DatabaseManager.getInstance(flags.db);
+  await databaseManager.initialize();
+
+  // Initialize the storage sinks, disabling the ones that aren't configured
+  flags.sinks = await SinkRegistry.initialize(flags.sinks);
+
+  try {
+    const results = [];
+    for (const archiveDir of archiveDirs) {
+      const importer = new ArchiveImporter(archiveDir, {
+        outputDir: flags['output-dir'],
+        sinks: flags.sinks,
+        filter: tweetFilter && new TweetFilter(tweetFilter.options),
+      });
+      results.push(await importer.run());
+    }
+    printResults(results);
+  } finally {
+    await databaseManager.close();
+    await SinkRegistry.close(flags.sinks);
+  }
+}
+
+/**
+ * Converts the --start-date and --end-date flags to a range of unix timestamps.
+ * @param {object} flags - Parsed command-line flags.
+ * @returns {{since: number|undefined, until: number|undefined}} - The end date is inclusive.
+ */
+function getDateRange(flags) {
+  const toSeconds = (flag, offsetDays = 0) => {
+    if (!flags[flag]) return undefined;
+    const date = parseISO(flags[flag]);
+    if (!isValid(date)) {
+      throw new Error(`--${flag} must be a valid date (YYYY-MM-DD).`);
+    }
+    return Math.floor(addDays(date, offsetDays).getTime() / 1000);
+  };
+  return { since: toSeconds('start-date'), until: toSeconds('end-date', 1) };
+}
+
+/**
+ * Searches the full-text index of the database and prints the matches with highlighted snippets.
+ * @param {string} query - FTS5 query.
+ * @param {object} flags - Parsed command-line flags.
+ */
+async function findTweets(query, flags) {
+  const [highlightStart, highlightEnd] = chalk.bold.yellow('\0').split('\0');
+  const databaseManager = DatabaseManager.getInstance(flags.db);
+
+  try {
+    // Searching never upgrades the database, an old schema is reported instead
+    await databaseManager.initialize({ readOnly: true });
+    await databaseManager.requireLatestSchema();
+    const results = await databaseManager.searchTweets(query, {
+      username: flags.user?.replace(/^@/, ''),
+      ...getDateRange(flags),
+      sort: flags.sort,
+      limit: flags.limit ?? 20,
+      highlight: [highlightStart || '[', highlightEnd || ']'],
+    });
+
+    if (results.length === 0) {
+      Logger.warn(`No tweets match "${query}".`);
+      return;
+    }
+
+    for (const tweet of results) {
+      const date = tweet.timestamp ? format(new Date(tweet.timestamp * 1000), 'yyyy-MM-dd HH:mm') : '-';
+      console.log(
+        `${chalk.bold(`@${tweet.username}`)} ${chalk.gray(date)} ` +
+        chalk.gray(`♥ ${tweet.likes ?? 0}  ↻ ${tweet.retweets ?? 0}  ↩ ${tweet.replies ?? 0}`)
+      );
+      console.log(`  ${tweet.snippet.replace(/\s*\n\s*/g, ' ')}`);
+      console.log(`  ${chalk.cyan(tweet.url || tweet.id)}\n`);
+    }
+    Logger.info(`${results.length} tweets found, sorted by ${flags.sort}.`);
+  } catch (error) {
+    Logger.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await databaseManager.close();
+  }
+}
+
+/**
+ * Exports the tweets of the database to a file.
+ * @param {string} file - Export file; its extension gives the format unless --format is set.
+ * @param {object} flags - Parsed command-line flags.
+ */
+async function exportTweets(file, flags) {
+  const databaseManager = DatabaseManager.getInstance(flags.db);
+
+  try {
+    await databaseManager.initialize({ readOnly: true });
+    await databaseManager.requireLatestSchema();
+    const format = flags.format || TweetExporter.getFormat(file);
+    if (!format) {
+      throw new Error(`Cannot tell the format of ${file}, use --format ${EXPORT_FORMATS.join('|')}.`);
+    }
+    const exporter = new TweetExporter(format, {
+      username: flags.user?.replace(/^@/, ''),
+      ...getDateRange(flags),
+      query: flags.query,
+      match: flags.match,
+    });
+    await exporter.export(file);
+  } catch (error) {
+    Logger.error(`Export failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await databaseManager.close();
+  }
+}
+
+/**
+ * Compares two recorded runs of a user and prints the summary of the report.
+ * @param {string} username - Twitter handle.
+ * @param {string} [fromRunId] - Earlier run; the run before the later one by default.
+ * @param {string} [toRunId] - Later run; the latest successful run by default.
+ * @param {object} flags - Parsed command-line flags.
+ */
+async function diffRuns(username, fromRunId, toRunId, flags) {
+  const databaseManager = DatabaseManager.getInstance(flags.db);
+
+  try {
+    await databaseManager.initialize({ readOnly: true });
+    await databaseManager.requireLatestSchema();
+    const runDiff = new RunDiff(username, { outputDir: flags['output-dir'] });
+    const { from, to, summary } = await runDiff.diff(fromRunId, toRunId);
+    const signed = (value) => `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+    Logger.table(`Runs ${from.runId} → ${to.runId} of @${username}`, ['', 'Count'], [
+      ['New tweets', summary.newTweets],
+      ['Disappeared tweets', summary.disappearedTweets],
+      ['Tweets in both runs', summary.commonTweets],
+      ['Likes', signed(summary.engagementDelta.likes)],
+      ['Retweets', signed(summary.engagementDelta.retweets)],
+      ['Replies', signed(summary.engagementDelta.replies)],
+      ['Views', signed(summary.engagementDelta.views)],
+    ]);
+  } catch (error) {
+    Logger.error(`Run diff failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await databaseManager.close();
+  }
+}
+
+/**
+ * Prints the runs stored for each user.
+ * @param {string[]} usernames - Handles to report on; all handles in the output directory when empty.
+ * @param {object} flags - Parsed command-line flags.
+ */
+async function showStatus(usernames, flags) {
+  let handles = usernames;
+  if (handles.length === 0) {
+    try {
+      handles = (await fs.readdir(flags['output-dir'], { withFileTypes: true }))
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name);
+    } catch {
+      handles = [];
+    }
+  }
+
+  if (handles.length === 0) {
+    Logger.warn(`No runs found in ${flags['output-dir']}.`);
+    await showWatchSchedule(usernames, flags);
+    return;
+  }
+
+  const statusColors = {
+    completed: chalk.green,
+    in_progress: chalk.yellow,
+    unknown: chalk.gray,
+  };
+
+  const rows = [];
+  for (const handle of handles) {
+    const runs = await DataOrganizer.listRuns(flags['output-dir'], handle);
+    if (runs.length === 0) {
+      rows.push([`@${handle}`, '-', '-', chalk.gray('no runs'), 0, '']);
+    }
+    runs.forEach((run, index) => {
+      rows.push([
+        index === 0 ? `@${handle}` : '',
+        run.runId,
+        format(run.startedAt, 'yyyy-MM-dd HH:mm'),
+        (statusColors[run.status] || chalk.white)(run.status),
+        run.totalTweets,
+        run.path,
+      ]);
+    });
+  }
+
+  Logger.table('Pipeline Runs', ['User', 'Run', 'Started', 'Status', 'Tweets', 'Path'], rows);
+  await showWatchSchedule(usernames, flags);
+}
+
+/**
+ * Prints the watch schedule stored in the database, flagging handles whose last
+ * successful run is older than twice their interval as stale.
+ * @param {string[]} usernames - Handles to report on; all watched handles when empty.
+ * @param {object} flags - Parsed command-line flags.
+ */
+async function showWatchSchedule(usernames, flags) {
+  try {
+    await fs.access(flags.db);
+  } catch {
+    return; // No database yet, nothing was watched
+  }
+
+  // Showing the status never creates or migrates the database
+  const databaseManager = DatabaseManager.getInstance(flags.db);
+  await databaseManager.initialize({ readOnly: true });
+  const handles = new Set(usernames.map((handle) => handle.toLowerCase()));
+  const schedule = (await databaseManager.getWatchSchedule())
+    .filter((entry) => handles.size === 0 || handles.has(entry.username));
+  await databaseManager.close();
+  if (schedule.length === 0) return;
+
+  const statusColors = {
+    success: chalk.green,
+    interrupted: chalk.yellow,
+    failed: chalk.red,
+  };
+  const formatTime = (seconds) => (seconds ? format(new Date(seconds * 1000), 'yyyy-MM-dd HH:mm') : '-');
+  const now = Math.floor(Date.now() / 1000);
+
+  Logger.table(
+    'Watch Schedule',
+    ['User', 'Interval', 'Last Run', 'Status', 'Tweets', 'Last Success', 'Next Run', 'Failures', 'Stale'],
+    schedule.map((entry) => {
+      const stale = !entry.last_success_at || now - entry.last_success_at > 2 * entry.interval_minutes * 60;
+      return [
+        `@${entry.username}`,
+        `${entry.interval_minutes}m`,
+        formatTime(entry.last_run_at),
+        entry.last_status ? (statusColors[entry.last_status] || chalk.white)(entry.last_status) : chalk.gray('pending'),
+        entry.last_tweets ?? '-',
+        formatTime(entry.last_success_at),
+        formatTime(entry.next_run_at),
+        entry.consecutive_failures,
+        stale ? chalk.red('stale') : chalk.green('fresh'),
+      ];
+    })
+  );
+}
+
+/**
+ * Entry point of the twitter command line.
+ */
+async function main() {
+  let cli;
+  try {
+    cli = parseCli(process.argv.slice(2));
+    if (cli.flags['log-level']) {
+      Logger.setLevel(cli.flags['log-level']);
+    }
+  } catch (error) {
+    Logger.error(error.message);
+    printHelp();
+    process.exit(1);
+  }
+
+  const { command, positionals, flags } = cli;
+  if (flags.help) {
+    printHelp(command);
+    return;
+  }
+
+  switch (command) {
+    case 'scrape':
+      await scrapeUsers([...new Set(positionals.map((handle) => handle.replace(/^@/, '')))], flags);
+      break;
+    case 'scrape-list':
+      await scrapeUsers(await scrapeUsernamesFromFile(positionals[0] || 'usernames.txt'), flags);
+      break;
+    case 'watch':
+      await watchUsers(
+        await readWatchlist(
+          positionals[0] || 'usernames.txt',
+          flags.interval ?? getEnvInt('WATCH_INTERVAL', 360, 1)
+        ),
+        flags
+      );
+      break;
+    case 'search':
+      await scrapeQuery(positionals.join(' ') || null, flags);
+      break;
+    case 'import':
+      await importArchives(positionals, flags);
+      break;
+    case 'find':
+      await findTweets(positionals.join(' '), flags);
+      break;
+    case 'export':
+      await exportTweets(positionals[0], flags);
+      break;
+    case 'diff':
+      await diffRuns(positionals[0].replace(/^@/, ''), positionals[1], positionals[2], flags);
+      break;
+    case 'status':
+      await showStatus(positionals.map((handle) => handle.replace(/^@/, '')), flags);
+      break;
+    case 'query':
+      if (positionals.length === 0) {
+        printNamedQueries();
+        break;
+      }
+      try {
+        const { query, params } = parseQueryArgs(positionals);
+        await runQuery(query, params, { databasePath: flags.db, format: flags.format || 'table' });
+      } catch (error) {
+        Logger.error(error.message);
+        process.exitCode = 1;
+      }
+      break;
   }
 }
 
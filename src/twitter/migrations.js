@@ -0,0 +1,277 @@
+// src/twitter/migrations.js
+
+/**
+ * Adds the columns a table is missing.
+ * @param {object} db - Open database.
+ * @param {string} table - Table name.
+ * @param {string[][]} columns - Array of [name, definition] pairs.
+ */
+async function addColumns(db, table, columns) {
+  const existing = new Set((await db.all(`PRAGMA table_info(${table})`)).map((column) => column.name));
+  for (const [name, definition] of columns) {
+    if (!existing.has(name)) {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    }
+  }
+}
+
+/**
+ * Schema migrations of tweets.db, applied in order by DatabaseManager.initialize().
+ * The version of a database is kept in `PRAGMA user_version`; each migration runs in a
+ * transaction together with the version bump. Never edit a released migration, add a new one.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'base tables',
+    async up(db) {
+      // Databases created before migrations existed already have some of these tables
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS tweets (
+          id TEXT PRIMARY KEY,
+          username TEXT,
+          text TEXT,
+          timestamp INTEGER,
+          likes INTEGER,
+          retweets INTEGER,
+          replies INTEGER,
+          url TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS tweet_threads (
+          tweet_id TEXT PRIMARY KEY,
+          parent_id TEXT,
+          conversation_id TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_tweet_threads_parent ON tweet_threads (parent_id);
+        CREATE INDEX IF NOT EXISTS idx_tweet_threads_conversation ON tweet_threads (conversation_id);
+
+        CREATE TABLE IF NOT EXISTS inbound_tweets (
+          tweet_id TEXT PRIMARY KEY,
+          target_username TEXT,
+          response_id TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_inbound_tweets_target ON inbound_tweets (target_username);
+
+        CREATE TABLE IF NOT EXISTS query_tweets (
+          query TEXT,
+          tweet_id TEXT,
+          run_id TEXT,
+          PRIMARY KEY (query, tweet_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_query_tweets_tweet ON query_tweets (tweet_id);
+
+        CREATE TABLE IF NOT EXISTS liked_tweets (
+          username TEXT,
+          tweet_id TEXT,
+          text TEXT,
+          url TEXT,
+          PRIMARY KEY (username, tweet_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS watch_schedule (
+          username TEXT PRIMARY KEY,
+          interval_minutes INTEGER,
+          next_run_at INTEGER,
+          last_run_at INTEGER,
+          last_status TEXT,
+          last_error TEXT,
+          last_tweets INTEGER,
+          last_success_at INTEGER,
+          consecutive_failures INTEGER DEFAULT 0
+        );
+
+        CREATE TABLE IF NOT EXISTS profiles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT,
+          run_id TEXT,
+          user_id TEXT,
+          name TEXT,
+          biography TEXT,
+          location TEXT,
+          website TEXT,
+          avatar TEXT,
+          banner TEXT,
+          followers_count INTEGER,
+          following_count INTEGER,
+          tweets_count INTEGER,
+          likes_count INTEGER,
+          listed_count INTEGER,
+          joined TEXT,
+          is_verified INTEGER,
+          is_private INTEGER,
+          fetched_at TEXT,
+          UNIQUE (username, run_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS accounts (
+          user_id TEXT PRIMARY KEY,
+          username TEXT,
+          name TEXT,
+          followers_count INTEGER,
+          following_count INTEGER,
+          updated_at TEXT
+        );
+        CREATE TABLE IF NOT EXISTS follow_edges (
+          follower_id TEXT,
+          followed_id TEXT,
+          first_seen_run TEXT,
+          last_seen_run TEXT,
+          PRIMARY KEY (follower_id, followed_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_follow_edges_followed ON follow_edges (followed_id);
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'full-fidelity tweets with hashtag, mention, url and media tables',
+    async up(db) {
+      await addColumns(db, 'tweets', [
+        ['user_id', 'TEXT'],
+        ['name', 'TEXT'],
+        ['created_at', 'TEXT'],
+        ['conversation_id', 'TEXT'],
+        ['in_reply_to_id', 'TEXT'],
+        ['quoted_id', 'TEXT'],
+        ['retweeted_id', 'TEXT'],
+        ['is_reply', 'INTEGER'],
+        ['is_retweet', 'INTEGER'],
+        ['is_quote', 'INTEGER'],
+        ['is_pin', 'INTEGER'],
+        ['is_self_thread', 'INTEGER'],
+        ['is_sensitive', 'INTEGER'],
+        ['views', 'INTEGER'],
+        ['bookmarks', 'INTEGER'],
+        ['raw_json', 'TEXT'],
+      ]);
+
+      await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_tweets_username_timestamp ON tweets (username, timestamp);
+        CREATE INDEX IF NOT EXISTS idx_tweets_conversation ON tweets (conversation_id);
+
+        CREATE TABLE IF NOT EXISTS tweet_hashtags (
+          tweet_id TEXT,
+          hashtag TEXT,
+          PRIMARY KEY (tweet_id, hashtag)
+        );
+        CREATE INDEX IF NOT EXISTS idx_tweet_hashtags_hashtag ON tweet_hashtags (hashtag COLLATE NOCASE);
+
+        CREATE TABLE IF NOT EXISTS tweet_mentions (
+          tweet_id TEXT,
+          user_id TEXT,
+          username TEXT,
+          name TEXT,
+          PRIMARY KEY (tweet_id, user_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_tweet_mentions_username ON tweet_mentions (username COLLATE NOCASE);
+
+        CREATE TABLE IF NOT EXISTS tweet_urls (
+          tweet_id TEXT,
+          url TEXT,
+          PRIMARY KEY (tweet_id, url)
+        );
+
+        CREATE TABLE IF NOT EXISTS tweet_media (
+          tweet_id TEXT,
+          media_id TEXT,
+          type TEXT,
+          url TEXT,
+          preview_url TEXT,
+          alt_text TEXT,
+          PRIMARY KEY (tweet_id, media_id)
+        );
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: 'engagement metric history',
+    async up(db) {
+      // Not seeded from the stored counts: when they were observed is unknown, and
+      // stamping them with the migration time would misplace them in the history
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS tweet_metrics (
+          tweet_id TEXT,
+          observed_at INTEGER,
+          likes INTEGER,
+          retweets INTEGER,
+          replies INTEGER,
+          views INTEGER,
+          PRIMARY KEY (tweet_id, observed_at)
+        );
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: 'full-text index of tweet text',
+    async up(db) {
+      // The index is keyed by the numeric tweet id as its rowid, so updates and deletes
+      // find their entry directly. It keeps its own copy of the text: an external content
+      // table would be keyed by the implicit rowid of tweets, which VACUUM may renumber.
+      // Ids that aren't canonical integers can't be keyed that way and are left out.
+      await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS tweets_fts USING fts5(
+          text,
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS tweets_fts_insert AFTER INSERT ON tweets
+        WHEN new.id GLOB '[1-9]*' AND NOT new.id GLOB '*[^0-9]*' BEGIN
+          INSERT INTO tweets_fts (rowid, text) VALUES (CAST(new.id AS INTEGER), new.text);
+        END;
+        CREATE TRIGGER IF NOT EXISTS tweets_fts_update AFTER UPDATE OF text ON tweets
+        WHEN old.text IS NOT new.text AND new.id GLOB '[1-9]*' AND NOT new.id GLOB '*[^0-9]*' BEGIN
+          DELETE FROM tweets_fts WHERE rowid = CAST(old.id AS INTEGER);
+          INSERT INTO tweets_fts (rowid, text) VALUES (CAST(new.id AS INTEGER), new.text);
+        END;
+        CREATE TRIGGER IF NOT EXISTS tweets_fts_delete AFTER DELETE ON tweets
+        WHEN old.id GLOB '[1-9]*' AND NOT old.id GLOB '*[^0-9]*' BEGIN
+          DELETE FROM tweets_fts WHERE rowid = CAST(old.id AS INTEGER);
+        END;
+
+        INSERT INTO tweets_fts (rowid, text)
+        SELECT CAST(id AS INTEGER), text FROM tweets
+        WHERE id GLOB '[1-9]*' AND NOT id GLOB '*[^0-9]*';
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: 'run history',
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS runs (
+          username TEXT,
+          run_id TEXT,
+          started_at TEXT,
+          finished_at TEXT,
+          duration_ms INTEGER,
+          status TEXT,
+          source TEXT,
+          incremental INTEGER,
+          tweets INTEGER,
+          errors INTEGER,
+          counts TEXT,
+          PRIMARY KEY (username, run_id)
+        );
+
+        -- Tweets each run collected, with their counts at the time
+        CREATE TABLE IF NOT EXISTS run_tweets (
+          username TEXT,
+          run_id TEXT,
+          tweet_id TEXT,
+          likes INTEGER,
+          retweets INTEGER,
+          replies INTEGER,
+          views INTEGER,
+          PRIMARY KEY (username, run_id, tweet_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_run_tweets_tweet ON run_tweets (tweet_id);
+      `);
+    },
+  },
+];
+
+export default MIGRATIONS;
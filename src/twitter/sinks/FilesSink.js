@@ -0,0 +1,34 @@
+// src/twitter/sinks/FilesSink.js
+import Sink from './Sink.js';
+import Logger from '../Logger.js';
+
+/**
+ * Sink writing the run directory files through the run's DataOrganizer.
+ */
+class FilesSink extends Sink {
+  async saveTweets({ username, dataOrganizer }, tweets, { contextTweets = [], metadata = {} } = {}) {
+    Logger.info(`Saving tweets for @${username} to files...`);
+    await dataOrganizer.saveTweets(tweets, metadata);
+    if (contextTweets.length > 0) {
+      await dataOrganizer.saveThreads(tweets, contextTweets);
+    }
+  }
+
+  async saveProfile({ dataOrganizer }, profile) {
+    await dataOrganizer.saveProfile(profile);
+  }
+
+  async saveInboundTweets({ dataOrganizer }, tweets, inboundTweets) {
+    await dataOrganizer.saveInboundTweets(tweets, inboundTweets);
+  }
+
+  async saveFollowGraph({ dataOrganizer }, profile, graph) {
+    await dataOrganizer.saveFollowGraph(profile, graph);
+  }
+
+  async saveLikes({ dataOrganizer }, likes) {
+    await dataOrganizer.saveLikes(likes);
+  }
+}
+
+export default FilesSink;
@@ -0,0 +1,29 @@
+// src/twitter/sinks/LinkaceSink.js
+import Sink from './Sink.js';
+import Logger from '../Logger.js';
+import LinkaceManager from '../LinkaceManager.js';
+
+/**
+ * Sink bookmarking the collected tweets on a Linkace server.
+ */
+class LinkaceSink extends Sink {
+  constructor() {
+    super();
+    this.linkaceManager = LinkaceManager.getInstance(); // Singleton instance
+  }
+
+  async initialize() {
+    await this.linkaceManager.initialize();
+  }
+
+  async saveTweets({ username }, tweets) {
+    Logger.info(`Saving tweets for @${username} to linkace...`);
+    await this.linkaceManager.saveTweets(tweets, username);
+  }
+
+  async close() {
+    await this.linkaceManager.close();
+  }
+}
+
+export default LinkaceSink;
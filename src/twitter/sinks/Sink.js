@@ -0,0 +1,87 @@
+// src/twitter/sinks/Sink.js
+
+/**
+ * Interface of the storage sinks pipelines write their results to.
+ *
+ * Implementations:
+ * - FilesSink: JSON, text, analytics and export files in the run directory (DataOrganizer).
+ * - SqliteSink: the tweets database (DatabaseManager).
+ * - LinkaceSink: bookmarks on a Linkace server (LinkaceManager).
+ *
+ * Every save method receives the run it belongs to, `{username, dataOrganizer}`, and
+ * does nothing by default, so a sink only implements what it can store. Sinks are
+ * created and dispatched to by SinkRegistry.
+ */
+class Sink {
+  /**
+   * Prepares the sink, e.g. checks its configuration or connects to its server.
+   * Throwing disables the sink for the process.
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Saves collected tweets.
+   * @param {object} run - Run the tweets belong to.
+   * @param {object[]} tweets - Tweets of the run's user or query.
+   * @param {object} [options]
+   * @param {object[]} [options.contextTweets] - Parent and conversation tweets of replies.
+   * @param {object} [options.metadata] - Run metadata stored with the tweets.
+   * @returns {Promise<void>}
+   */
+  async saveTweets(run, tweets, options = {}) {}
+
+  /**
+   * @param {object} run - Run the profile belongs to.
+   * @param {object} profile - Profile snapshot.
+   * @returns {Promise<void>}
+   */
+  async saveProfile(run, profile) {}
+
+  /**
+   * @param {object} run - Run the tweets belong to.
+   * @param {object[]} tweets - The user's collected tweets.
+   * @param {object[]} inboundTweets - Tweets mentioning or replying to the user.
+   * @returns {Promise<void>}
+   */
+  async saveInboundTweets(run, tweets, inboundTweets) {}
+
+  /**
+   * @param {object} run - Run the graph belongs to.
+   * @param {object} profile - Profile snapshot of the user.
+   * @param {{followers: object[], following: object[]}} graph - Followers and followed accounts.
+   * @returns {Promise<void>}
+   */
+  async saveFollowGraph(run, profile, graph) {}
+
+  /**
+   * @param {object} run - Run the likes belong to.
+   * @param {{tweetId: string, text: string, url: string}[]} likes - Tweets the user liked.
+   * @returns {Promise<void>}
+   */
+  async saveLikes(run, likes) {}
+
+  /**
+   * @param {object} run - Run the tweets belong to.
+   * @param {string} query - Search expression, or `list:<id>` for lists.
+   * @param {object[]} tweets - Tweets collected for the query.
+   * @returns {Promise<void>}
+   */
+  async saveQueryTweets(run, query, tweets) {}
+
+  /**
+   * Records the outcome of the run, once it has finished, failed or been interrupted.
+   * @param {object} run - Run the manifest describes.
+   * @param {object} manifest - Run manifest, as written to meta/run.json.
+   * @returns {Promise<void>}
+   */
+  async saveRun(run, manifest) {}
+
+  /**
+   * Releases the sink's resources.
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+export default Sink;
@@ -0,0 +1,127 @@
+// src/twitter/sinks/SinkRegistry.js
+import Logger from '../Logger.js';
+import FilesSink from './FilesSink.js';
+import SqliteSink from './SqliteSink.js';
+import LinkaceSink from './LinkaceSink.js';
+
+/**
+ * Registry of the available storage sinks, and the set of sinks a run writes to.
+ *
+ * Sinks are created once per process. SinkRegistry.initialize() prepares the enabled
+ * sinks and drops the ones that fail, e.g. Linkace without LINKACE_HOST, so the others
+ * still run. An instance dispatches each save to its sinks independently: a sink that
+ * throws is logged and reported, and the remaining sinks are still called.
+ */
+class SinkRegistry {
+  static sinkClasses = new Map([
+    ['files', FilesSink],
+    ['sqlite', SqliteSink],
+    ['linkace', LinkaceSink],
+  ]);
+  static instances = new Map();
+
+  /**
+   * Makes a sink available under a name, e.g. for `--sinks`.
+   * @param {string} name - Sink name.
+   * @param {typeof Sink} SinkClass - Sink implementation.
+   */
+  static register(name, SinkClass) {
+    SinkRegistry.sinkClasses.set(name, SinkClass);
+  }
+
+  /**
+   * @returns {string[]} - Names of the registered sinks.
+   */
+  static getNames() {
+    return [...SinkRegistry.sinkClasses.keys()];
+  }
+
+  /**
+   * Returns the process-wide instance of a sink.
+   * @param {string} name - Sink name.
+   * @returns {Sink}
+   */
+  static get(name) {
+    if (!SinkRegistry.instances.has(name)) {
+      const SinkClass = SinkRegistry.sinkClasses.get(name);
+      if (!SinkClass) {
+        throw new Error(`Unknown sink: ${name}. Available sinks: ${SinkRegistry.getNames().join(', ')}.`);
+      }
+      SinkRegistry.instances.set(name, new SinkClass());
+    }
+    return SinkRegistry.instances.get(name);
+  }
+
+  /**
+   * Initializes the given sinks, disabling the ones that fail.
+   * @param {string[]} names - Sinks to enable.
+   * @returns {Promise<string[]>} - Names of the sinks that are ready.
+   */
+  static async initialize(names) {
+    const ready = [];
+    for (const name of names) {
+      try {
+        await SinkRegistry.get(name).initialize();
+        ready.push(name);
+      } catch (error) {
+        Logger.warn(`Disabling the ${name} sink: ${error.message}`);
+      }
+    }
+
+    if (names.length > 0 && ready.length === 0) {
+      throw new Error(`None of the sinks could be initialized (${names.join(', ')}).`);
+    }
+    return ready;
+  }
+
+  /**
+   * Closes the given sinks.
+   * @param {string[]} names - Sinks to close.
+   */
+  static async close(names) {
+    for (const name of names) {
+      try {
+        await SinkRegistry.get(name).close();
+      } catch (error) {
+        Logger.warn(`Could not close the ${name} sink: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @param {string[]} names - Sinks the run writes to.
+   */
+  constructor(names) {
+    this.names = names;
+  }
+
+  /**
+   * @param {string} name - Sink name.
+   * @returns {boolean} - Whether the run writes to the sink.
+   */
+  has(name) {
+    return this.names.includes(name);
+  }
+
+  /**
+   * Calls a save method on every sink of the run.
+   * @param {string} method - Sink method name, e.g. saveTweets.
+   * @param {object} run - Run the data belongs to, `{username, dataOrganizer}`.
+   * @param {...*} args - Method arguments.
+   * @returns {Promise<{sink: string, error: Error}[]>} - Sinks that failed.
+   */
+  async dispatch(method, run, ...args) {
+    const failures = [];
+    for (const name of this.names) {
+      try {
+        await SinkRegistry.get(name)[method](run, ...args);
+      } catch (error) {
+        Logger.error(`❌ The ${name} sink failed to ${method} for @${run.username}: ${error.message}`);
+        failures.push({ sink: name, error });
+      }
+    }
+    return failures;
+  }
+}
+
+export default SinkRegistry;
@@ -0,0 +1,56 @@
+// src/twitter/sinks/SqliteSink.js
+import Sink from './Sink.js';
+import Logger from '../Logger.js';
+import DatabaseManager from '../DatabaseManager.js';
+
+/**
+ * Sink storing tweets, profiles and graphs in the tweets database.
+ * The database connection is shared with the rest of the CLI, which opens and closes it.
+ */
+class SqliteSink extends Sink {
+  constructor() {
+    super();
+    this.databaseManager = DatabaseManager.getInstance(); // Singleton instance
+  }
+
+  async initialize() {
+    if (!this.databaseManager.db) {
+      await this.databaseManager.initialize();
+    }
+  }
+
+  async saveTweets({ username, dataOrganizer }, tweets, { contextTweets = [] } = {}) {
+    Logger.info(`Saving tweets for @${username} to database...`);
+    await this.databaseManager.saveTweets([...tweets, ...contextTweets]);
+    await this.databaseManager.saveThreadLinks([...tweets, ...contextTweets]);
+    await this.databaseManager.saveRunTweets(username, dataOrganizer.runId, tweets);
+  }
+
+  async saveProfile({ dataOrganizer }, profile) {
+    await this.databaseManager.saveProfile(profile, dataOrganizer.runId);
+  }
+
+  async saveInboundTweets({ username }, tweets, inboundTweets) {
+    await this.databaseManager.saveTweets(inboundTweets);
+    await this.databaseManager.saveThreadLinks(inboundTweets);
+    await this.databaseManager.saveInboundTweets(username, inboundTweets);
+  }
+
+  async saveFollowGraph({ dataOrganizer }, profile, graph) {
+    await this.databaseManager.saveFollowGraph(profile, graph, dataOrganizer.runId);
+  }
+
+  async saveLikes({ username }, likes) {
+    await this.databaseManager.saveLikedTweets(username, likes);
+  }
+
+  async saveQueryTweets({ dataOrganizer }, query, tweets) {
+    await this.databaseManager.saveQueryTweets(query, tweets, dataOrganizer.runId);
+  }
+
+  async saveRun({ username }, manifest) {
+    await this.databaseManager.saveRun(username, manifest);
+  }
+}
+
+export default SqliteSink;
@@ -0,0 +1,120 @@
+// src/twitter/sources/FixtureSource.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import TweetSource from './TweetSource.js';
+import Logger from '../Logger.js';
+
+// Fields holding Date objects in agent-twitter-client responses
+const DATE_FIELDS = new Set(['timeParsed', 'joined']);
+
+// Position of the page size argument, which follows settings like MAX_TWEETS
+const PAGE_SIZE_ARGS = {
+  searchTweets: 1,
+  getListTweets: 1,
+  getFollowers: 1,
+  getFollowing: 1,
+};
+
+/**
+ * Tweet source replaying responses recorded by RecordingSource, without any network access.
+ *
+ * Each response is stored as `<method>-<hash of the arguments>.json` in the fixtures
+ * directory, so a run replays the same requests, cursors included, that were recorded.
+ * Page sizes are left out of the hash, so recordings also replay with other limits.
+ */
+class FixtureSource extends TweetSource {
+  /**
+   * @param {string} fixturesDir - Directory holding the recorded responses.
+   */
+  constructor(fixturesDir) {
+    super();
+    this.fixturesDir = fixturesDir;
+    this.stats = { replayed: 0, missing: 0 };
+  }
+
+  /**
+   * Returns the file a response is recorded in.
+   * @param {string} fixturesDir - Fixtures directory.
+   * @param {string} method - TweetSource method name.
+   * @param {Array} args - Method arguments.
+   * @returns {string} fixturePath
+   */
+  static getFixturePath(fixturesDir, method, args) {
+    const key = args.filter((_, index) => index !== PAGE_SIZE_ARGS[method]);
+    const hash = crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex').slice(0, 16);
+    return path.join(fixturesDir, `${method}-${hash}.json`);
+  }
+
+  /**
+   * Returns the recorded response of a call, or throws the recorded error.
+   * @param {string} method - TweetSource method name.
+   * @param {Array} args - Method arguments.
+   * @returns {Promise<*>} - Recorded response.
+   */
+  async replay(method, args) {
+    const fixturePath = FixtureSource.getFixturePath(this.fixturesDir, method, args);
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(fixturePath, 'utf-8'), (key, value) =>
+        DATE_FIELDS.has(key) && typeof value === 'string' ? new Date(value) : value
+      );
+    } catch (error) {
+      this.stats.missing++;
+      throw new Error(`No fixture recorded for ${method}(${JSON.stringify(args)}) in ${this.fixturesDir}: ${error.message}`);
+    }
+
+    this.stats.replayed++;
+    Logger.debug(`Replaying ${method}(${JSON.stringify(args)}) from ${fixturePath}`);
+    if (fixture.error) {
+      const error = new Error(fixture.error.message);
+      if (fixture.error.status) {
+        error.response = { status: fixture.error.status };
+      }
+      throw error;
+    }
+    return fixture.response;
+  }
+
+  async isLoggedIn() {
+    return true;
+  }
+
+  getProfile(username) {
+    return this.replay('getProfile', [username]);
+  }
+
+  searchTweets(query, maxTweets, searchMode, cursor) {
+    return this.replay('searchTweets', [query, maxTweets, searchMode, cursor]);
+  }
+
+  getTweet(id) {
+    return this.replay('getTweet', [id]);
+  }
+
+  getListTweets(listId, maxTweets, cursor) {
+    return this.replay('getListTweets', [listId, maxTweets, cursor]);
+  }
+
+  getFollowers(userId, maxProfiles, cursor) {
+    return this.replay('getFollowers', [userId, maxProfiles, cursor]);
+  }
+
+  getFollowing(userId, maxProfiles, cursor) {
+    return this.replay('getFollowing', [userId, maxProfiles, cursor]);
+  }
+
+  describe() {
+    return { type: 'fixtures', fixturesDir: this.fixturesDir };
+  }
+
+  printReport() {
+    Logger.stats('Fixture Source', {
+      'Fixtures Directory': this.fixturesDir,
+      'Responses Replayed': this.stats.replayed,
+      'Missing Fixtures': this.stats.missing,
+    });
+  }
+}
+
+export default FixtureSource;
@@ -0,0 +1,93 @@
+// src/twitter/sources/RecordingSource.js
+import fs from 'fs/promises';
+import TweetSource from './TweetSource.js';
+import FixtureSource from './FixtureSource.js';
+import Logger from '../Logger.js';
+
+/**
+ * Tweet source forwarding every call to another source and recording the responses,
+ * errors included, as fixtures that FixtureSource can replay.
+ */
+class RecordingSource extends TweetSource {
+  /**
+   * @param {TweetSource} source - Source serving the requests, usually a ScraperPool.
+   * @param {string} fixturesDir - Directory the responses are written to.
+   */
+  constructor(source, fixturesDir) {
+    super();
+    this.source = source;
+    this.fixturesDir = fixturesDir;
+    this.recorded = 0;
+  }
+
+  /**
+   * Calls a method of the wrapped source and records its outcome.
+   * @param {string} method - TweetSource method name.
+   * @param {Array} args - Method arguments.
+   * @returns {Promise<*>} - Response of the wrapped source.
+   */
+  async record(method, args) {
+    let fixture;
+    try {
+      const response = await this.source[method](...args);
+      fixture = { method, args, response };
+      return response;
+    } catch (error) {
+      fixture = { method, args, error: { message: error.message, status: error.response?.status } };
+      throw error;
+    } finally {
+      const fixturePath = FixtureSource.getFixturePath(this.fixturesDir, method, args);
+      try {
+        await fs.mkdir(this.fixturesDir, { recursive: true });
+        await fs.writeFile(fixturePath, JSON.stringify(fixture, null, 2), 'utf-8');
+        this.recorded++;
+        Logger.debug(`Recorded ${method}(${JSON.stringify(args)}) to ${fixturePath}`);
+      } catch (error) {
+        Logger.warn(`⚠️  Failed to record fixture ${fixturePath}: ${error.message}`);
+      }
+    }
+  }
+
+  isLoggedIn() {
+    return this.source.isLoggedIn();
+  }
+
+  getProfile(username) {
+    return this.record('getProfile', [username]);
+  }
+
+  searchTweets(query, maxTweets, searchMode, cursor) {
+    return this.record('searchTweets', [query, maxTweets, searchMode, cursor]);
+  }
+
+  getTweet(id) {
+    return this.record('getTweet', [id]);
+  }
+
+  getListTweets(listId, maxTweets, cursor) {
+    return this.record('getListTweets', [listId, maxTweets, cursor]);
+  }
+
+  getFollowers(userId, maxProfiles, cursor) {
+    return this.record('getFollowers', [userId, maxProfiles, cursor]);
+  }
+
+  getFollowing(userId, maxProfiles, cursor) {
+    return this.record('getFollowing', [userId, maxProfiles, cursor]);
+  }
+
+  describe() {
+    return { ...this.source.describe(), recordedTo: this.fixturesDir };
+  }
+
+  printReport() {
+    this.source.printReport();
+    Logger.info(`Recorded ${this.recorded} responses to ${this.fixturesDir}.`);
+  }
+
+  close() {
+    return this.source.close();
+  }
+}
+
+export default RecordingSource;
@@ -0,0 +1,100 @@
+// src/twitter/sources/TweetSource.js
+
+/**
+ * Interface of the sources TwitterPipeline reads tweets and profiles from.
+ *
+ * Implementations:
+ * - ScraperPool: live requests through authenticated agent-twitter-client scrapers.
+ * - FixtureSource: replays responses recorded to a fixtures directory.
+ * - RecordingSource: wraps another source and records its responses as fixtures.
+ *
+ * Tweets and profiles have the shape returned by agent-twitter-client, and paged
+ * methods resolve to `{tweets, next}` or `{profiles, next}` where `next` is the cursor
+ * of the following page.
+ */
+class TweetSource {
+  /**
+   * Checks that the source can serve requests.
+   * @returns {Promise<boolean>}
+   */
+  async isLoggedIn() {
+    throw new Error(`${this.constructor.name} does not implement isLoggedIn().`);
+  }
+
+  /**
+   * @param {string} username - Twitter handle.
+   * @returns {Promise<object>} profile
+   */
+  async getProfile(username) {
+    throw new Error(`${this.constructor.name} does not implement getProfile().`);
+  }
+
+  /**
+   * @param {string} query - Twitter search expression.
+   * @param {number} maxTweets - Page size.
+   * @param {number} searchMode - SearchMode of agent-twitter-client.
+   * @param {string} [cursor] - Cursor of the page to fetch.
+   * @returns {Promise<{tweets: object[], next: string}>}
+   */
+  async searchTweets(query, maxTweets, searchMode, cursor) {
+    throw new Error(`${this.constructor.name} does not implement searchTweets().`);
+  }
+
+  /**
+   * @param {string} id - Tweet id.
+   * @returns {Promise<object|null>} tweet - The tweet, or null if it is unavailable.
+   */
+  async getTweet(id) {
+    throw new Error(`${this.constructor.name} does not implement getTweet().`);
+  }
+
+  /**
+   * @param {string} listId - Twitter list id.
+   * @param {number} maxTweets - Page size.
+   * @param {string} [cursor] - Cursor of the page to fetch.
+   * @returns {Promise<{tweets: object[], next: string}>}
+   */
+  async getListTweets(listId, maxTweets, cursor) {
+    throw new Error(`${this.constructor.name} does not implement getListTweets().`);
+  }
+
+  /**
+   * @param {string} userId - Twitter user id.
+   * @param {number} maxProfiles - Page size.
+   * @param {string} [cursor] - Cursor of the page to fetch.
+   * @returns {Promise<{profiles: object[], next: string}>}
+   */
+  async getFollowers(userId, maxProfiles, cursor) {
+    throw new Error(`${this.constructor.name} does not implement getFollowers().`);
+  }
+
+  /**
+   * @param {string} userId - Twitter user id.
+   * @param {number} maxProfiles - Page size.
+   * @param {string} [cursor] - Cursor of the page to fetch.
+   * @returns {Promise<{profiles: object[], next: string}>}
+   */
+  async getFollowing(userId, maxProfiles, cursor) {
+    throw new Error(`${this.constructor.name} does not implement getFollowing().`);
+  }
+
+  /**
+   * Describes the source for run manifests.
+   * @returns {{type: string, account?: string}} - Source type and, for live sources, the account currently used.
+   */
+  describe() {
+    return { type: this.constructor.name };
+  }
+
+  /**
+   * Prints usage statistics of the source, if it keeps any.
+   */
+  printReport() {}
+
+  /**
+   * Releases the source's resources.
+   */
+  async close() {}
+}
+
+export default TweetSource;
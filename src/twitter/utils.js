@@ -1,24 +1,298 @@
-// // utils.js
-// import fs from 'fs';
-// import Logger from './Logger.js';
-
-// export async function loadCookies(cookiesPath) {
-//   try {
-//     if (fs.existsSync(cookiesPath)) {
-//       const cookiesData = fs.readFileSync(cookiesPath, 'utf8');
-//       return JSON.parse(cookiesData);
-//     }
-//   } catch (error) {
-//     Logger.warn(`⚠️ Error loading cookies: ${error.message}`);
-//   }
-//   return null;
-// }
-
-// export async function saveCookies(cookiesPath, cookies) {
-//   try {
-//     fs.writeFileSync(cookiesPath, JSON.stringify(cookies, null, 2));
-//     Logger.success('✅ Cookies saved successfully');
-//   } catch (error) {
-//     Logger.error(`❌ Error saving cookies: ${error.message}`);
-//   }
-// }
+// utils.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import Logger from './Logger.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+let buildInfo = null;
+
+/**
+ * Resolves the cookie file for a Twitter account.
+ * TWITTER_COOKIES_PATH may contain a {username} placeholder so each account gets its own file.
+ * @param {string} username - Twitter account username.
+ * @returns {string} - Path to the account's cookie file.
+ */
+export function getCookiesPath(username) {
+  const template = process.env.TWITTER_COOKIES_PATH || path.join('cookies', '{username}_cookies.json');
+  return template.replace('{username}', username.toLowerCase());
+}
+
+export async function loadCookies(cookiesPath) {
+  try {
+    if (fs.existsSync(cookiesPath)) {
+      const cookiesData = fs.readFileSync(cookiesPath, 'utf8');
+      return JSON.parse(cookiesData);
+    }
+  } catch (error) {
+    Logger.warn(`⚠️ Error loading cookies: ${error.message}`);
+  }
+  return null;
+}
+
+export async function saveCookies(cookiesPath, cookies) {
+  try {
+    fs.mkdirSync(path.dirname(cookiesPath), { recursive: true });
+    // Cookies grant full access to the account, keep them private
+    fs.writeFileSync(cookiesPath, JSON.stringify(cookies, null, 2), { mode: 0o600 });
+    Logger.success('✅ Cookies saved successfully');
+  } catch (error) {
+    Logger.error(`❌ Error saving cookies: ${error.message}`);
+  }
+}
+
+/**
+ * Serializes a saved cookie back into a Set-Cookie string accepted by Scraper.setCookies().
+ * @param {object} cookie - Cookie as saved by saveCookies() (tough-cookie JSON).
+ * @returns {string}
+ */
+export function cookieToString(cookie) {
+  const parts = [
+    `${cookie.key}=${cookie.value}`,
+    `Domain=${cookie.domain}`,
+    `Path=${cookie.path || '/'}`,
+  ];
+  if (cookie.expires && cookie.expires !== 'Infinity') {
+    parts.push(`Expires=${new Date(cookie.expires).toUTCString()}`);
+  }
+  if (cookie.secure) parts.push('Secure');
+  if (cookie.httpOnly) parts.push('HttpOnly');
+  if (cookie.sameSite) parts.push(`SameSite=${cookie.sameSite}`);
+  return parts.join('; ');
+}
+
+/**
+ * Compares two tweet ids numerically (ids are snowflakes, so newer tweets have larger ids).
+ * @param {string} a - First tweet id.
+ * @param {string} b - Second tweet id.
+ * @returns {number} - Negative if a is older than b, positive if newer, 0 if equal.
+ */
+export function compareTweetIds(a, b) {
+  const left = BigInt(a);
+  const right = BigInt(b);
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Lists the mp4 variants of a video, best bitrate first.
+ * @param {object[]} [variants] - `video_info.variants` of a Twitter media entity.
+ * @returns {{url: string, bitrate: number}[]} - Variants with a URL and bitrate (HLS playlists have none).
+ */
+export function getVideoVariants(variants = []) {
+  return variants
+    .filter((v) => v.url && v.bitrate != null && (!v.content_type || v.content_type === 'video/mp4'))
+    .map((v) => ({ url: v.url, bitrate: Number(v.bitrate) }))
+    .sort((a, b) => b.bitrate - a.bitrate);
+}
+
+/**
+ * Reads a whole number from an environment variable.
+ * @param {string} name - Environment variable name.
+ * @param {number} fallback - Value used when the variable is unset, invalid or below min.
+ * @param {number} [min=0] - Smallest accepted value, e.g. 1 for counts that can't be zero.
+ * @returns {number}
+ */
+export function getEnvInt(name, fallback, min = 0) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < min ? fallback : value;
+}
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - Delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns a random integer delay between min and max (inclusive).
+ * @param {number} min - Minimum delay in milliseconds.
+ * @param {number} max - Maximum delay in milliseconds.
+ * @returns {number}
+ */
+export function jitteredDelay(min, max) {
+  const low = Math.min(min, max);
+  const high = Math.max(min, max);
+  return low + Math.floor(Math.random() * (high - low + 1));
+}
+
+/**
+ * Error for a request Twitter answered with 429 Too Many Requests.
+ */
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message - Error message.
+   * @param {number|null} [resetAt] - When the rate limit resets (ms), from x-rate-limit-reset.
+   */
+  constructor(message, resetAt = null) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt;
+    this.at = Date.now();
+  }
+}
+
+/**
+ * Creates a fetch transform for agent-twitter-client that surfaces rate limits.
+ *
+ * On a 429 the client sleeps until x-rate-limit-reset and retries in a loop, so the
+ * rate limit never reaches the caller. The transform throws a RateLimitError instead.
+ * The client turns errors thrown by fetch into a generic "Failed to perform request."
+ * error, so the RateLimitError is also handed to onRateLimit for the caller to rethrow.
+ * @param {Function} onRateLimit - Called with the RateLimitError of each 429 response.
+ * @returns {{response: Function}} - Value of the Scraper `transform` option.
+ */
+export function createRateLimitTransform(onRateLimit) {
+  return {
+    response: (response) => {
+      if (response.status !== 429) {
+        return response;
+      }
+      const reset = parseInt(response.headers.get('x-rate-limit-reset'), 10);
+      const error = new RateLimitError(
+        'Rate limited by Twitter (429 Too Many Requests).',
+        Number.isNaN(reset) ? null : reset * 1000
+      );
+      onRateLimit(error);
+      throw error;
+    },
+  };
+}
+
+/**
+ * Checks whether an error was caused by Twitter rate limiting.
+ * @param {Error} error - Error thrown by a tweet source.
+ * @returns {boolean}
+ */
+export function isRateLimitError(error) {
+  return error instanceof RateLimitError || error?.response?.status === 429;
+}
+
+/**
+ * Checks whether an error means the account's session is invalid or locked.
+ * @param {Error} error - Error thrown by the scraper.
+ * @returns {boolean}
+ */
+export function isAuthError(error) {
+  const status = error?.response?.status;
+  if (status) {
+    return status === 401 || status === 403;
+  }
+  return /\b40[13]\b|not logged-in|unauthorized|authentication error|locked/i.test(error?.message || '');
+}
+
+/**
+ * Checks whether an error is likely transient (network failures, 5xx responses).
+ * @param {Error} error - Error thrown by the scraper.
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  const status = error?.response?.status;
+  if (status) {
+    return status >= 500;
+  }
+  return /failed to perform request|ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up|network|\b5\d\d\b/i.test(
+    error?.message || ''
+  );
+}
+
+/**
+ * Runs an async worker over items with at most `concurrency` workers in flight.
+ * @param {Array} items - Items to process.
+ * @param {number} concurrency - Maximum number of concurrent workers.
+ * @param {Function} worker - Async function called with (item, index).
+ * @returns {Promise<Array>} - Worker results, in the order of items.
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ * @param {*} value - Value to escape.
+ * @returns {string}
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats a value as a CSV field, quoting it when it contains separators, quotes or newlines.
+ * @param {*} value - Value to format.
+ * @returns {string}
+ */
+export function toCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Describes the code producing a run: package and scraper client versions, Node version
+ * and git commit. Computed once per process.
+ * @returns {{packageVersion: string|null, clientVersion: string|null, nodeVersion: string,
+ *   gitCommit: string|null, gitDirty: boolean|null}}
+ */
+export function getBuildInfo() {
+  if (buildInfo) return buildInfo;
+
+  const readVersion = (packagePath) => {
+    try {
+      return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version || null;
+    } catch {
+      return null;
+    }
+  };
+  const git = (...args) => {
+    try {
+      return execFileSync('git', args, { cwd: ROOT_DIR, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch {
+      return null;
+    }
+  };
+
+  const status = git('status', '--porcelain', '--untracked-files=no');
+  buildInfo = {
+    packageVersion: readVersion(path.join(ROOT_DIR, 'package.json')),
+    clientVersion: readVersion(path.join(ROOT_DIR, 'node_modules', 'agent-twitter-client', 'package.json')),
+    nodeVersion: process.version,
+    gitCommit: git('rev-parse', 'HEAD'),
+    gitDirty: status === null ? null : status.length > 0,
+  };
+  return buildInfo;
+}
+
+/**
+ * Computes the SHA-256 hash of a file.
+ * @param {string} filePath - Path to the file.
+ * @returns {Promise<string>} - Hex digest.
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
@@ -5,7 +5,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import OpenAI from 'openai';
-import TwitterPipeline from '../twitter/TwitterPipeline.js';
+import DatabaseManager from '../twitter/DatabaseManager.js';
+import Logger from '../twitter/Logger.js';
 import chalk from 'chalk';
 import ora from 'ora';
 
@@ -13,32 +14,57 @@ import ora from 'ora';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// npm run generate-character -- <username> <date>
+// npm run generate-virtuals -- <username> <runId>
 const args = process.argv.slice(2);
 const username = args[0] || 'degenspartan';
-const date = args[1] || new Date().toISOString().split('T')[0];
-console.log(`Generating character for ${username} on ${date}`);
+const runId = args[1] || 'latest';
+console.log(`Generating character for ${username} from run ${runId}`);
 
-const stats = JSON.parse(fs.readFileSync(path.join(__dirname, `../../pipeline/${username}/${date}/analytics/stats.json`), 'utf8'));
-const tweets = JSON.parse(fs.readFileSync(path.join(__dirname, `../../pipeline/${username}/${date}/raw/tweets.json`), 'utf8'));
+const runDir = path.join(__dirname, `../../pipeline/${username.toLowerCase()}/${runId}`);
+const stats = JSON.parse(fs.readFileSync(path.join(runDir, 'analytics/stats.json'), 'utf8'));
+const tweets = JSON.parse(fs.readFileSync(path.join(runDir, 'raw/tweets.json'), 'utf8'));
 const recentTweets = tweets.slice(0, 20);
 const recentTweetsText = recentTweets.map(tweet => tweet.text).join('\n');
 const topTweets = stats.engagement.topTweets.map(tweet => tweet.text).join('\n');
 
-const pipeline = new TwitterPipeline(username);
+/**
+ * Loads the profile saved by the Twitter pipeline, from the run's meta/profile.json
+ * or, for runs made before profiles were saved, the latest snapshot in the database.
+ * @returns {Promise<object>} profile - Profile snapshot.
+ */
+const loadProfile = async () => {
+    const profilePath = path.join(runDir, 'meta/profile.json');
+    if (fs.existsSync(profilePath)) {
+        return JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+    }
 
-const cleanup = async () => {
-    Logger.warn('\n🛑 Received termination signal. Cleaning up...');
+    const db = DatabaseManager.getInstance(path.join(__dirname, '../../tweets.db'));
     try {
-      if (pipeline.scraper) {
-        await pipeline.scraper.logout();
-        Logger.success('🔒 Logged out successfully.');
-      }
-    } catch (error) {
-      Logger.error(`❌ Error during cleanup: ${error.message}`);
+        // Only read here, upgrading the database is left to the Twitter pipeline
+        await db.initialize({ readOnly: true });
+        await db.requireLatestSchema();
+        const row = await db.getLatestProfile(username);
+        if (row) {
+            return {
+                username: row.username,
+                name: row.name,
+                biography: row.biography,
+                location: row.location,
+                website: row.website,
+                avatar: row.avatar,
+                followersCount: row.followers_count,
+                followingCount: row.following_count,
+                tweetsCount: row.tweets_count,
+                joined: row.joined,
+            };
+        }
+    } finally {
+        await db.close();
     }
-    process.exit(0);
-  };
+
+    Logger.warn(`⚠️  No saved profile found for @${username}, using tweets only.`);
+    return { username };
+};
 
 const formatJSON = (json) => {
     const colorize = {
@@ -61,7 +87,7 @@ const formatJSON = (json) => {
 };
 
 async function main() {
-    const profile = await pipeline.getProfile();
+    const profile = await loadProfile();
 
     console.log('\n' + chalk.bold.cyan('📥 INPUT DATA SUMMARY'));
     console.log(chalk.dim('═'.repeat(50)));
@@ -108,7 +134,7 @@ Name: ${profile.name}
 
 User Profile:
 <profile>
-${profile}
+${JSON.stringify(profile, null, 2)}
 </profile>
 
 Top Tweets:
@@ -193,7 +219,7 @@ Format your response as a valid JSON object, with each field containing the appr
         console.log(formattedJson);
         console.log(chalk.dim('─'.repeat(50)));
 
-        const characterDir = path.join(__dirname, `../../pipeline/${username}/${date}/character`);
+        const characterDir = path.join(runDir, 'character');
         fs.mkdirSync(characterDir, { recursive: true });
         fs.writeFileSync(
             path.join(characterDir, 'character.json'), 
@@ -0,0 +1,57 @@
+// test/TweetFilter.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TweetFilter from '../src/twitter/TweetFilter.js';
+
+/**
+ * Builds a tweet in the shape returned by agent-twitter-client.
+ * @param {object} [fields] - Fields overriding the defaults.
+ * @returns {object} - Tweet object.
+ */
+function makeTweet(fields = {}) {
+  return {
+    id: '1',
+    text: 'Shipping the exporter today',
+    timestamp: Math.floor(new Date(2025, 0, 10, 12).getTime() / 1000),
+    likes: 20,
+    retweets: 12,
+    replies: 3,
+    isReply: false,
+    isRetweet: false,
+    isQuoted: false,
+    photos: [],
+    videos: [],
+    urls: [],
+    ...fields,
+  };
+}
+
+const filterWith = (config) => new TweetFilter(TweetFilter.normalizeOptions(config));
+
+test('minRetweets reads the retweets of client tweets', () => {
+  const filter = filterWith({ minRetweets: 10 });
+  assert.equal(filter.getRejectionReason(makeTweet()), null);
+  assert.equal(filter.getRejectionReason(makeTweet({ retweets: 0 })), 'minRetweets');
+  // Tweets saved before carry retweetCount instead
+  assert.equal(filter.getRejectionReason(makeTweet({ retweets: undefined, retweetCount: 4 })), 'minRetweets');
+});
+
+test('quote tweets are recognized by isQuoted or quotedStatusId', () => {
+  const originalOnly = filterWith({ tweetTypes: ['original'] });
+  const withQuotes = filterWith({ tweetTypes: ['original', 'quotes'] });
+  for (const quote of [makeTweet({ isQuoted: true }), makeTweet({ quotedStatusId: '99' })]) {
+    assert.equal(originalOnly.getRejectionReason(quote), 'quotes');
+    assert.equal(withQuotes.getRejectionReason(quote), null);
+  }
+  assert.equal(originalOnly.getRejectionReason(makeTweet()), null);
+  assert.equal(filterWith({ tweetTypes: ['quotes'] }).getRejectionReason(makeTweet()), 'original');
+});
+
+test('the date range includes the whole end day', () => {
+  const filter = filterWith({ startDate: '2025-01-05', endDate: '2025-01-10' });
+  const at = (...date) => makeTweet({ timestamp: Math.floor(new Date(...date).getTime() / 1000) });
+  assert.equal(filter.getRejectionReason(at(2025, 0, 5, 0, 0)), null);
+  assert.equal(filter.getRejectionReason(at(2025, 0, 10, 23, 59)), null);
+  assert.equal(filter.getRejectionReason(at(2025, 0, 4, 23, 59)), 'dateRange');
+  assert.equal(filter.getRejectionReason(at(2025, 0, 11, 0, 0)), 'dateRange');
+});
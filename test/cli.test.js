@@ -0,0 +1,36 @@
+// test/cli.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCli } from '../src/twitter/cli.js';
+
+test('whole-number flags are converted to numbers', () => {
+  const { command, positionals, flags } = parseCli([
+    'scrape', 'alice', '--concurrency', '3', '--max-inbound', '0', '--media-max-total-mb', ' 20 ',
+  ]);
+  assert.equal(command, 'scrape');
+  assert.deepEqual(positionals, ['alice']);
+  assert.equal(flags.concurrency, 3);
+  assert.equal(flags['max-inbound'], 0);
+  assert.equal(flags['media-max-total-mb'], 20);
+  assert.equal(flags['max-followers'], undefined);
+});
+
+test('whole-number flags reject fractions, text and values below their minimum', () => {
+  const cases = [
+    [['scrape', 'alice', '--concurrency', '0'], /--concurrency must be a whole number of at least 1, got "0"/],
+    [['scrape', 'alice', '--concurrency', '2.5'], /--concurrency must be a whole number/],
+    [['watch', '--interval', 'hourly'], /--interval must be a whole number of at least 1, got "hourly"/],
+    [['find', 'sqlite', '--limit=-5'], /--limit must be a whole number/],
+    [['scrape', 'alice', '--media-max-file-mb', '1e3'], /--media-max-file-mb must be a whole number of at least 0/],
+    [['scrape', 'alice', '--max-following', ''], /--max-following must be a whole number/],
+  ];
+  for (const [argv, message] of cases) {
+    assert.throws(() => parseCli(argv), message, argv.join(' '));
+  }
+});
+
+test('commands missing their arguments are rejected', () => {
+  assert.throws(() => parseCli(['find']), /Please provide the text to search for/);
+  assert.throws(() => parseCli(['diff']), /Please provide a handle/);
+  assert.throws(() => parseCli(['alice', '--fixtures', 'a', '--record', 'b']), /cannot be used together/);
+});
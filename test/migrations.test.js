@@ -0,0 +1,68 @@
+// test/migrations.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Logger from '../src/twitter/Logger.js';
+import DatabaseManager from '../src/twitter/DatabaseManager.js';
+import MIGRATIONS from '../src/twitter/migrations.js';
+
+// The committed database predates the migrations: schema version 0, only the tweets table
+const BASELINE_DB = fileURLToPath(new URL('../tweets.db', import.meta.url));
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+let workDir;
+let databaseManager;
+
+before(async () => {
+  Logger.setLevel('error');
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-test-'));
+  const databasePath = path.join(workDir, 'tweets.db');
+  await fs.copyFile(BASELINE_DB, databasePath);
+  databaseManager = DatabaseManager.getInstance(databasePath);
+});
+
+after(async () => {
+  await databaseManager.close();
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('a read-only connection leaves the old schema alone and reports it', async () => {
+  await databaseManager.initialize({ readOnly: true });
+  await assert.rejects(databaseManager.requireLatestSchema(), new RegExp(`schema version 0 of ${LATEST}`));
+  assert.deepEqual(await databaseManager.db.get('PRAGMA user_version'), { user_version: 0 });
+  await databaseManager.close();
+});
+
+test('the baseline database migrates to the latest schema and keeps its tweets', async () => {
+  await databaseManager.initialize();
+  await databaseManager.requireLatestSchema();
+  const { db } = databaseManager;
+  assert.deepEqual(await db.get('PRAGMA user_version'), { user_version: LATEST });
+
+  assert.deepEqual(await db.get('SELECT COUNT(*) AS count FROM tweets;'), { count: 2340 });
+  assert.deepEqual(
+    await db.get("SELECT username, likes, replies, is_retweet FROM tweets WHERE id = '1838624441238262101';"),
+    { username: 'TuckerCarlson', likes: 20498, replies: 1207, is_retweet: null }
+  );
+
+  const tables = (await db.all("SELECT name FROM sqlite_master WHERE type = 'table';")).map(({ name }) => name);
+  for (const table of ['tweet_hashtags', 'tweet_media', 'tweet_metrics', 'profiles', 'watch_schedule', 'runs', 'run_tweets']) {
+    assert.ok(tables.includes(table), `${table} is missing`);
+  }
+  // Tweets stored before the upgrade have no metric history, their counts' time is unknown
+  assert.deepEqual(await db.get('SELECT COUNT(*) AS count FROM tweet_metrics;'), { count: 0 });
+
+  // The full-text index covers the tweets stored before the upgrade
+  const matches = await databaseManager.searchTweets('Zelensky', { username: 'TuckerCarlson', limit: 50 });
+  assert.ok(matches.some((match) => match.id === '1838624441238262101'));
+  await databaseManager.close();
+});
+
+test('opening a migrated database again applies nothing', async () => {
+  await databaseManager.initialize();
+  assert.deepEqual(await databaseManager.db.get('PRAGMA user_version'), { user_version: LATEST });
+  assert.deepEqual(await databaseManager.db.get('SELECT COUNT(*) AS count FROM tweets;'), { count: 2340 });
+});
@@ -0,0 +1,122 @@
+// test/pipeline.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Logger from '../src/twitter/Logger.js';
+import DatabaseManager from '../src/twitter/DatabaseManager.js';
+import TwitterPipeline from '../src/twitter/TwitterPipeline.js';
+import FixtureSource from '../src/twitter/sources/FixtureSource.js';
+import SinkRegistry from '../src/twitter/sinks/SinkRegistry.js';
+
+// Recorded responses for @alice: a profile and two pages of tweets
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/alice', import.meta.url));
+const SINKS = ['files', 'sqlite'];
+
+let workDir;
+let outputDir;
+let databaseManager;
+
+/**
+ * Runs the pipeline for @alice against the recorded responses.
+ * Run ids are given explicitly, as two runs within a second would share the default one.
+ * @param {string} runId - Run directory name.
+ * @param {object} [options] - Additional pipeline options.
+ * @returns {Promise<object>} - Pipeline result.
+ */
+function runPipeline(runId, options = {}) {
+  const pipeline = new TwitterPipeline('alice', new FixtureSource(FIXTURES_DIR), {
+    outputDir,
+    sinks: SINKS,
+    runId,
+    minDelay: 0,
+    maxDelay: 0,
+    retryDelay: 0,
+    ...options,
+  });
+  return pipeline.run();
+}
+
+const readJson = async (...segments) => JSON.parse(await fs.readFile(path.join(outputDir, 'alice', ...segments), 'utf-8'));
+
+before(async () => {
+  Logger.setLevel('error');
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-test-'));
+  outputDir = path.join(workDir, 'pipeline');
+  databaseManager = DatabaseManager.getInstance(path.join(workDir, 'tweets.db'));
+  await databaseManager.initialize();
+  await SinkRegistry.initialize(SINKS);
+});
+
+after(async () => {
+  await databaseManager.close();
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('a run stores the recorded tweets in the run directory and the database', async () => {
+  const result = await runPipeline('1736600000');
+  assert.equal(result.status, 'success');
+  assert.equal(result.tweets, 2);
+
+  const tweets = await readJson('latest', 'raw', 'tweets.json');
+  assert.deepEqual(tweets.map((tweet) => tweet.id), ['1878116132244361462', '1877400000000000001']);
+  const stats = await readJson('1736600000', 'analytics', 'stats.json');
+  assert.equal(stats.totalTweets, 2);
+  const profile = await readJson('1736600000', 'meta', 'profile.json');
+  assert.equal(profile.followersCount, 1200);
+  const manifest = await readJson('1736600000', 'meta', 'run.json');
+  assert.equal(manifest.status, 'success');
+  assert.equal(manifest.counts.collected, 2);
+  assert.deepEqual(manifest.errors, []);
+  await fs.access(path.join(outputDir, 'alice', '1736600000', 'exports', 'summary.md'));
+
+  const { db } = databaseManager;
+  const rows = await db.all('SELECT id, likes, retweets, views FROM tweets ORDER BY id;');
+  assert.deepEqual(rows, [
+    { id: '1877400000000000001', likes: 5, retweets: 1, views: 120 },
+    { id: '1878116132244361462', likes: 12, retweets: 3, views: 480 },
+  ]);
+  assert.deepEqual(await db.all('SELECT hashtag FROM tweet_hashtags;'), [{ hashtag: 'sqlite' }]);
+  assert.deepEqual(await db.all('SELECT username FROM tweet_mentions;'), [{ username: 'bob' }]);
+  assert.deepEqual(await db.all('SELECT type, alt_text FROM tweet_media;'), [{ type: 'photo', alt_text: 'A chart' }]);
+  assert.deepEqual(
+    await db.all('SELECT run_id, followers_count FROM profiles;'),
+    [{ run_id: '1736600000', followers_count: 1200 }]
+  );
+
+  const [run] = await databaseManager.getRuns('alice');
+  assert.equal(run.run_id, '1736600000');
+  assert.equal(run.status, 'success');
+  assert.equal(run.tweets, 2);
+  assert.equal((await databaseManager.getRunTweets('alice', '1736600000')).length, 2);
+
+  const matches = await databaseManager.searchTweets('exporter');
+  assert.deepEqual(matches.map((match) => match.id), ['1878116132244361462']);
+});
+
+test('an incremental run stops at the stored tweets and leaves latest on the run with data', async () => {
+  const result = await runPipeline('1736600100', { incremental: true });
+  assert.equal(result.status, 'success');
+  assert.equal(result.tweets, 0);
+
+  assert.equal(await fs.readlink(path.join(outputDir, 'alice', 'latest')), '1736600000');
+  assert.deepEqual(await fs.readdir(path.join(outputDir, 'alice', '1736600100')), ['meta']);
+  const manifest = await readJson('1736600100', 'meta', 'run.json');
+  assert.equal(manifest.counts.lastKnownTweetId, '1878116132244361462');
+
+  const runs = await databaseManager.getRuns('alice');
+  assert.deepEqual(runs.map((run) => [run.run_id, run.status]), [
+    ['1736600100', 'success'],
+    ['1736600000', 'success'],
+  ]);
+});
+
+test('recorded responses replay with a different page size', async () => {
+  const source = new FixtureSource(FIXTURES_DIR);
+  const { tweets } = await source.searchTweets('from:alice', 10, 1, null);
+  assert.equal(tweets[0].id, '1878116132244361462');
+  assert.ok(tweets[0].timeParsed instanceof Date);
+  await assert.rejects(source.getTweet('1'), /No fixture recorded/);
+});
@@ -0,0 +1,99 @@
+// test/query.test.js
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Logger from '../src/twitter/Logger.js';
+import { assertReadOnly, parseQueryArgs, runQuery } from '../src/twitter/QueryDatabase.js';
+
+// Schema version 0: only the tweets table, as before the migrations
+const BASELINE_DB = fileURLToPath(new URL('../tweets.db', import.meta.url));
+
+let workDir;
+let databasePath;
+
+/**
+ * Runs a query with JSON output and collects what it prints.
+ * @param {object} t - Test context, used to mock the output.
+ * @param {string} sql - Name of a saved query, or SQL.
+ * @param {object} [params] - Parameters of a saved query.
+ * @returns {Promise<{rows: Array|null, errors: string[]}>} - Printed rows and logged errors.
+ */
+async function query(t, sql, params = {}) {
+  const output = [];
+  const errors = [];
+  t.mock.method(console, 'log', (text) => output.push(text));
+  t.mock.method(Logger, 'error', (message) => errors.push(message));
+  await runQuery(sql, params, { databasePath, format: 'json' });
+  t.mock.restoreAll();
+  return { rows: output.length > 0 ? JSON.parse(output.join('\n')) : null, errors };
+}
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'query-test-'));
+  databasePath = path.join(workDir, 'tweets.db');
+  await fs.copyFile(BASELINE_DB, databasePath);
+});
+
+afterEach(() => {
+  process.exitCode = 0; // Failed queries set it, as the CLI exits with it
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('queries of the original tables run on an old database without upgrading it', async (t) => {
+  const original = await fs.readFile(databasePath);
+  const { rows, errors } = await query(t, 'users');
+  assert.deepEqual(errors, []);
+  assert.equal(rows.length, 13);
+  assert.equal(rows.reduce((sum, row) => sum + row.tweets, 0), 2340);
+
+  const { rows: [version] } = await query(t, 'PRAGMA user_version');
+  assert.deepEqual(version, { user_version: 0 });
+  assert.ok(original.equals(await fs.readFile(databasePath)), 'the database file changed');
+});
+
+test('a saved query needing a newer schema reports the version', async (t) => {
+  const { rows, errors } = await query(t, 'runs', { user: null, limit: 20 });
+  assert.equal(rows, null);
+  assert.match(errors[0], /runs needs database schema version 5, but .* is at version 0\. Run a scrape or import/);
+  assert.equal(process.exitCode, 1);
+});
+
+test('raw SQL on missing columns hints at the schema version', async (t) => {
+  const { errors } = await query(t, 'SELECT is_retweet FROM tweets');
+  assert.match(errors[0], /no such column: is_retweet \(the database schema is at version 0 of \d+/);
+});
+
+test('statements that could write are rejected', async (t) => {
+  for (const sql of [
+    'DELETE FROM tweets',
+    'SELECT 1; DROP TABLE tweets',
+    'PRAGMA user_version = 3',
+    'ATTACH DATABASE "other.db" AS other',
+  ]) {
+    assert.throws(() => assertReadOnly(sql), /statement/, sql);
+  }
+  for (const sql of ["SELECT ';DROP TABLE tweets' AS text", 'PRAGMA table_info(tweets)', 'WITH t AS (SELECT 1) SELECT * FROM t;']) {
+    assert.doesNotThrow(() => assertReadOnly(sql), sql);
+  }
+
+  const count = "SELECT COUNT(*) AS count FROM tweets WHERE likes = 0";
+  const { rows: unchanged } = await query(t, count);
+  const { errors } = await query(t, 'UPDATE tweets SET likes = 0');
+  assert.match(errors[0], /Only read-only statements/);
+  assert.deepEqual((await query(t, count)).rows, unchanged);
+});
+
+test('saved query parameters are parsed from param=value arguments', () => {
+  assert.deepEqual(parseQueryArgs(['top-tweets', 'user=@alice', 'limit=5']), {
+    query: 'top-tweets',
+    params: { user: 'alice', limit: 5 },
+  });
+  assert.deepEqual(parseQueryArgs(['SELECT', '1']), { query: 'SELECT 1', params: {} });
+  assert.throws(() => parseQueryArgs(['top-tweets', 'limit=ten']), /limit must be a whole number/);
+});